@@ -4,6 +4,32 @@
 const EMULATOR_WINDOW_WIDTH = 1000;
 const EMULATOR_WINDOW_HEIGHT = 850;
 
+// Interval between image provisioning progress checks
+const PROVISIONING_POLL_INTERVAL_MS = 1000;
+
+// Form controls that server validation errors refer to, by request field
+const FIELD_CONTROLS = {
+    browser: 'browser-grid',
+    ram: 'ram-select',
+    vram: 'vram-select',
+    sessionDisk: 'session-disk-input',
+    snapshot: 'snapshot-select',
+    record: 'record-select',
+    sharedFolder: 'shared-folder-select',
+    network: 'network-select',
+    portForwards: 'port-forwards-input',
+    proxy: 'proxy-select',
+    allowDomains: 'allow-domains-input',
+    denyDomains: 'deny-domains-input'
+};
+
+// Labels of the guest network modes a catalog entry may offer
+const NETWORK_LABELS = {
+    offline: 'Offline (no network)',
+    nat: 'Internet (NAT)',
+    restricted: 'Restricted (port forwards only)'
+};
+
 function initTheme() {
     const darkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
     updateLogoAndFavicon(darkMode);
@@ -30,30 +56,207 @@ function updateLogoAndFavicon(isDarkMode) {
 }
 
 // Browser selection management
-let selectedBrowser = 'midori'; // Default selection
-
-function initBrowserGrid() {
-    const browserCards = document.querySelectorAll('.browser-card');
-    
-    // Set initial selection
-    browserCards[0].classList.add('selected');
-    
-    // Add click handlers
-    browserCards.forEach(card => {
-        card.addEventListener('click', () => {
-            // Remove selected class from all cards
-            browserCards.forEach(c => c.classList.remove('selected'));
-            // Add selected class to clicked card
-            card.classList.add('selected');
-            // Update selected browser
-            selectedBrowser = card.dataset.browser;
-        });
+let selectedBrowser = null;
+let browserCatalog = [];
+
+async function initBrowserGrid() {
+    try {
+        const response = await fetch('/api/browsers');
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showStatus(`Error: ${data.error}`, 'error');
+            return;
+        }
+        
+        browserCatalog = data.browsers;
+    } catch (error) {
+        console.error('Error loading browser catalog:', error);
+        showStatus('Failed to load the browser catalog. Make sure the backend is running.', 'error');
+        return;
+    }
+    
+    renderBrowserGrid();
+}
+
+function renderBrowserGrid() {
+    const browserGrid = document.getElementById('browser-grid');
+    browserGrid.innerHTML = '';
+    
+    browserCatalog.forEach(browser => {
+        const card = document.createElement('div');
+        card.className = 'browser-card';
+        card.dataset.browser = browser.id;
+        card.title = browser.description;
+        
+        const icon = document.createElement('img');
+        icon.src = browser.icon || 'images/favicon_dark.png';
+        icon.alt = `${browser.name} Browser`;
+        
+        const name = document.createElement('h3');
+        name.textContent = browser.name;
+        
+        card.append(icon, name);
+        
+        if (browser.version) {
+            const version = document.createElement('p');
+            version.className = 'browser-card-meta';
+            version.textContent = `v${browser.version}`;
+            card.appendChild(version);
+        }
+        
+        // Without an image the server falls back to simulation mode
+        if (!browser.downloadable && !browser.cached) {
+            const badge = document.createElement('p');
+            badge.className = 'browser-card-meta';
+            badge.textContent = 'Simulation only';
+            card.appendChild(badge);
+        }
+        
+        card.addEventListener('click', () => selectBrowser(browser.id));
+        browserGrid.appendChild(card);
+    });
+    
+    // Keep the current selection if it is still in the catalog
+    const stillListed = browserCatalog.some(b => b.id === selectedBrowser);
+    if (browserCatalog.length > 0) {
+        selectBrowser(stillListed ? selectedBrowser : browserCatalog[0].id);
+    }
+}
+
+function selectBrowser(browserId) {
+    const browser = browserCatalog.find(b => b.id === browserId);
+    if (!browser) return;
+    
+    document.querySelectorAll('.browser-card').forEach(card => {
+        card.classList.toggle('selected', card.dataset.browser === browserId);
     });
+    
+    // Offer the image's allowed sizes and apply its QEMU defaults when switching browsers
+    if (browserId !== selectedBrowser) {
+        renderSelectOptions('ram-select', browser.options.ram, value => (value === 'unlimited' ? 'Unlimited' : `${value} GB`));
+        renderSelectOptions('vram-select', browser.options.vram, value => (value % 1024 === 0 ? `${value / 1024} GB` : `${value} MB`));
+        renderSelectOptions('network-select', browser.options.network, value => NETWORK_LABELS[value] || value);
+        setSelectValue('ram-select', browser.defaults.ram);
+        setSelectValue('vram-select', browser.defaults.vram);
+        setSelectValue('network-select', browser.defaults.network);
+        updateNetworkSections();
+    }
+    
+    selectedBrowser = browserId;
+    refreshSnapshotOptions();
+}
+
+// Port forwards need a network card, so they're hidden for offline sessions;
+// the traffic proxy reaches the internet, so it is only offered with NAT
+function updateNetworkSections() {
+    const network = document.getElementById('network-select').value;
+    const offline = network === 'offline';
+    const proxy = network === 'nat' && document.getElementById('proxy-select').value;
+    
+    document.getElementById('port-forwards-section').style.display = offline ? 'none' : 'block';
+    document.getElementById('proxy-section').style.display = network === 'nat' ? 'block' : 'none';
+    document.getElementById('allow-domains-section').style.display = proxy ? 'block' : 'none';
+    document.getElementById('deny-domains-section').style.display = proxy ? 'block' : 'none';
+}
+
+/**
+ * Split a list of domains separated by commas or spaces
+ */
+function parseDomainList(text) {
+    return text.split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Parse "hostPort:guestPort" pairs separated by commas or spaces, e.g.
+ * "10080:80, 10022:22". Returns null if an entry is malformed.
+ */
+function parsePortForwards(text) {
+    const entries = text.split(/[\s,]+/).filter(Boolean);
+    const forwards = entries.map(entry => /^(\d+):(\d+)$/.exec(entry));
+    
+    if (forwards.some(match => !match)) {
+        return null;
+    }
+    return forwards.map(match => ({ hostPort: Number(match[1]), guestPort: Number(match[2]) }));
+}
+
+function renderSelectOptions(selectId, values, formatLabel) {
+    const select = document.getElementById(selectId);
+    const current = select.value;
+    
+    select.innerHTML = values.map(value => `<option value="${value}">${formatLabel(value)}</option>`).join('');
+    setSelectValue(selectId, current);
+}
+
+function setSelectValue(selectId, value) {
+    const select = document.getElementById(selectId);
+    if (Array.from(select.options).some(option => option.value === value)) {
+        select.value = value;
+    }
+}
+
+// Offer the snapshots stored on the chosen persistent disk as boot options
+async function refreshSnapshotOptions() {
+    const sessionDisk = document.getElementById('session-disk-input').value.trim();
+    const snapshotSection = document.getElementById('snapshot-section');
+    const snapshotSelect = document.getElementById('snapshot-select');
+    
+    snapshotSelect.innerHTML = '<option value="" selected>Cold boot</option>';
+    snapshotSection.style.display = 'none';
+    
+    if (!sessionDisk) return;
+    
+    try {
+        const response = await fetch('/api/session-disks');
+        const data = await response.json();
+        if (!response.ok) return;
+        
+        const disk = data.disks.find(d => d.browser === selectedBrowser && d.name === sessionDisk);
+        if (!disk || disk.snapshots.length === 0) return;
+        
+        disk.snapshots.forEach(snapshot => {
+            const option = document.createElement('option');
+            option.value = snapshot.name;
+            option.textContent = `${snapshot.name} (${new Date(snapshot.date).toLocaleString()})`;
+            snapshotSelect.appendChild(option);
+        });
+        snapshotSection.style.display = 'block';
+    } catch (error) {
+        console.error('Error loading session disk snapshots:', error);
+    }
 }
 
 // Status message display
+// Show validation errors from the server next to the control of each field
+function showFieldErrors(errors) {
+    clearFieldErrors();
+    
+    for (const { field, message } of errors) {
+        const control = document.getElementById(FIELD_CONTROLS[field]);
+        if (!control) continue;
+        
+        const note = document.createElement('p');
+        note.className = 'field-error';
+        note.dataset.field = field;
+        note.textContent = message;
+        control.classList.add('invalid');
+        control.insertAdjacentElement('afterend', note);
+    }
+}
+
+function clearFieldErrors(field) {
+    const fields = field ? [field] : Object.keys(FIELD_CONTROLS);
+    
+    for (const name of fields) {
+        document.getElementById(FIELD_CONTROLS[name])?.classList.remove('invalid');
+        document.querySelectorAll(`.field-error[data-field="${name}"]`).forEach(note => note.remove());
+    }
+}
+
 function showStatus(message, type = 'info') {
     const statusElement = document.getElementById('status-message');
+    statusElement.style.display = '';
     statusElement.textContent = message;
     statusElement.className = `status-message ${type}`;
     
@@ -65,21 +268,205 @@ function showStatus(message, type = 'info') {
     }
 }
 
+// Image provisioning progress
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+    }
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function formatEta(seconds) {
+    if (seconds === null) return 'estimating...';
+    if (seconds < 60) return `${seconds}s remaining`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s remaining`;
+}
+
+function updateProvisioningProgress(job) {
+    const progress = document.getElementById('provisioning-progress');
+    const label = document.getElementById('provisioning-label');
+    const bar = document.getElementById('provisioning-bar');
+    const details = document.getElementById('provisioning-details');
+    
+    progress.classList.add('active');
+    
+    if (job.state === 'downloading') {
+        const total = job.download.totalBytes ? ` of ${formatBytes(job.download.totalBytes)}` : '';
+        label.textContent = job.resumedFrom > 0 ? `Resuming download of ${job.image}...` : `Downloading ${job.image}...`;
+        bar.style.width = `${job.download.percent || 0}%`;
+        
+        if (job.retryInSeconds !== null) {
+            details.textContent = `Connection lost (${job.lastError}) - retrying in ${job.retryInSeconds}s (attempt ${job.attempt + 1})`;
+        } else {
+            details.textContent = `${formatBytes(job.download.bytes)}${total} - ${formatEta(job.etaSeconds)}`;
+        }
+    } else if (job.state === 'verifying') {
+        label.textContent = `Verifying ${job.image}...`;
+        bar.style.width = '100%';
+        details.textContent = 'Checking size and checksum';
+    } else if (job.state === 'extracting') {
+        label.textContent = `Decompressing ${job.image}...`;
+        bar.style.width = `${job.extraction.percent || 0}%`;
+        details.textContent = `${job.extraction.percent || 0}% - ${formatEta(job.etaSeconds)}`;
+    } else {
+        bar.style.width = '100%';
+        label.textContent = job.state === 'ready' ? 'Image ready' : 'Image download failed';
+        details.textContent = job.error || '';
+    }
+}
+
+function hideProvisioningProgress() {
+    document.getElementById('provisioning-progress').classList.remove('active');
+}
+
+// Poll a provisioning job until the image is ready or has failed
+async function waitForProvisioning(jobId) {
+    while (true) {
+        const response = await fetch(`/api/provisioning/${jobId}`);
+        const job = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(job.error);
+        }
+        
+        updateProvisioningProgress(job);
+        
+        if (job.state === 'ready' || job.state === 'failed') {
+            return job;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, PROVISIONING_POLL_INTERVAL_MS));
+    }
+}
+
+// Open the emulator page of a session in the selected target, returning false if the popup was blocked
+function openEmulatorPage(emulatorId, windowTarget) {
+    const url = `emulator.html?id=${encodeURIComponent(emulatorId)}`;
+    
+    if (windowTarget === 'window') {
+        // Open in new popup window with specific dimensions
+        return !!window.open(url, '_blank', `width=${EMULATOR_WINDOW_WIDTH},height=${EMULATOR_WINDOW_HEIGHT}`);
+    } else if (windowTarget === '_blank') {
+        // Open in new tab
+        return !!window.open(url, '_blank');
+    }
+    
+    // Open in same tab (_self)
+    window.location.href = url;
+    return true;
+}
+
+// List the sessions this browser started that are still running, so they can be reopened
+async function loadRunningSessions() {
+    const section = document.getElementById('running-sessions');
+    const list = document.getElementById('running-session-list');
+    
+    try {
+        const response = await fetch('/api/emulators');
+        const data = await response.json();
+        const sessions = (data.emulators || []).filter(e => e.state !== 'stopped');
+        
+        section.style.display = sessions.length > 0 ? '' : 'none';
+        list.innerHTML = sessions.map(session => {
+            const browser = browserCatalog.find(b => b.id === session.browser);
+            const name = browser ? browser.name : session.browser;
+            const state = session.paused ? 'paused' : session.state;
+            const viewers = session.viewers > 0 ? ' · open elsewhere' : '';
+            
+            return `
+                <li>
+                    <div>
+                        <strong>${name}</strong>
+                        <span class="session-meta">${state} · up ${formatDuration(session.uptime)}${viewers}</span>
+                    </div>
+                    <button class="session-open-btn" data-id="${session.id}">Open</button>
+                </li>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading running sessions:', error);
+        section.style.display = 'none';
+    }
+}
+
+function formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+}
+
 // Emulator management
 async function startEmulator() {
     const ramSelect = document.getElementById('ram-select');
     const vramSelect = document.getElementById('vram-select');
     const windowTargetSelect = document.getElementById('window-target-select');
+    const sessionDiskInput = document.getElementById('session-disk-input');
+    const snapshotSelect = document.getElementById('snapshot-select');
+    const recordSelect = document.getElementById('record-select');
+    const sharedFolderSelect = document.getElementById('shared-folder-select');
+    const networkSelect = document.getElementById('network-select');
+    const portForwardsInput = document.getElementById('port-forwards-input');
+    const proxySelect = document.getElementById('proxy-select');
+    const allowDomainsInput = document.getElementById('allow-domains-input');
+    const denyDomainsInput = document.getElementById('deny-domains-input');
     const startButton = document.getElementById('start-emulator');
     
+    if (!selectedBrowser) {
+        showStatus('Please select a browser.', 'error');
+        return;
+    }
+    
     const config = {
         browser: selectedBrowser,
         ram: ramSelect.value,
-        vram: vramSelect.value
+        vram: vramSelect.value,
+        network: networkSelect.value
     };
     
+    // Only request a persistent disk when a name was given
+    const sessionDisk = sessionDiskInput.value.trim();
+    if (sessionDisk) {
+        config.sessionDisk = sessionDisk;
+        
+        if (snapshotSelect.value) {
+            config.snapshot = snapshotSelect.value;
+        }
+    }
+    
+    if (recordSelect.value) {
+        config.record = true;
+    }
+    
+    if (sharedFolderSelect.value) {
+        config.sharedFolder = true;
+    }
+    
+    if (config.network !== 'offline' && portForwardsInput.value.trim()) {
+        const portForwards = parsePortForwards(portForwardsInput.value);
+        if (!portForwards) {
+            showFieldErrors([{ field: 'portForwards', message: 'Enter port forwards as hostPort:guestPort pairs, e.g. 10080:80, 10022:22' }]);
+            return;
+        }
+        config.portForwards = portForwards;
+    }
+    
+    if (config.network === 'nat' && proxySelect.value) {
+        config.proxy = true;
+        
+        const allowDomains = parseDomainList(allowDomainsInput.value);
+        const denyDomains = parseDomainList(denyDomainsInput.value);
+        if (allowDomains.length) {
+            config.allowDomains = allowDomains;
+        }
+        if (denyDomains.length) {
+            config.denyDomains = denyDomains;
+        }
+    }
+    
     const windowTarget = windowTargetSelect.value;
     
+    clearFieldErrors();
+    
     // Disable button and show loading
     startButton.disabled = true;
     startButton.classList.add('loading');
@@ -97,27 +484,28 @@ async function startEmulator() {
         const data = await response.json();
         
         if (response.ok) {
-            // Store emulator ID and config in sessionStorage for emulator page
-            sessionStorage.setItem('emulatorId', data.emulatorId);
-            sessionStorage.setItem('emulatorConfig', JSON.stringify(config));
-            sessionStorage.setItem('emulatorOutput', data.output);
-            sessionStorage.setItem('vncPort', data.vncPort);
-            sessionStorage.setItem('websocketPort', data.websocketPort);
-            sessionStorage.setItem('hasImage', data.hasImage ? 'true' : 'false');
+            let provisioningError = null;
             
-            // Open emulator based on selected target
-            if (windowTarget === 'window') {
-                // Open in new popup window with specific dimensions
-                window.open('emulator.html', '_blank', `width=${EMULATOR_WINDOW_WIDTH},height=${EMULATOR_WINDOW_HEIGHT}`);
-            } else if (windowTarget === '_blank') {
-                // Open in new tab
-                window.open('emulator.html', '_blank');
-            } else {
-                // Open in same tab (_self)
-                window.location.href = 'emulator.html';
+            // Wait for the browser image to be downloaded before opening the emulator
+            if (data.state === 'provisioning') {
+                startButton.innerHTML = '<svg class="button-icon" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="10"/></svg>Preparing image...';
+                const job = await waitForProvisioning(data.jobId);
+                provisioningError = job.error;
             }
+            hideProvisioningProgress();
+            loadRunningSessions();
+            
+            // The emulator page authenticates with the session cookie set by the start request
+            const opened = openEmulatorPage(data.emulatorId, windowTarget);
             
-            showStatus('Emulator started successfully!', 'success');
+            // Popups opened after a long download are no longer tied to the click
+            if (!opened) {
+                showStatus('The emulator is running but the popup was blocked. Allow popups for this site or open it from Running Sessions.', 'error');
+            } else if (provisioningError) {
+                showStatus(`Image download failed (${provisioningError}). Emulator started in simulation mode.`, 'error');
+            } else {
+                showStatus('Emulator started successfully!', 'success');
+            }
             
             // Reset button (only if not opening in same tab)
             if (windowTarget !== '_self') {
@@ -128,6 +516,9 @@ async function startEmulator() {
                 }, 2000);
             }
         } else {
+            if (data.errors) {
+                showFieldErrors(data.errors);
+            }
             showStatus(`Error: ${data.error}`, 'error');
             startButton.disabled = false;
             startButton.classList.remove('loading');
@@ -135,6 +526,7 @@ async function startEmulator() {
         }
     } catch (error) {
         console.error('Error starting emulator:', error);
+        hideProvisioningProgress();
         showStatus('Failed to connect to server. Make sure the backend is running.', 'error');
         startButton.disabled = false;
         startButton.classList.remove('loading');
@@ -145,8 +537,29 @@ async function startEmulator() {
 // Event listeners
 document.addEventListener('DOMContentLoaded', () => {
     initTheme();
-    initBrowserGrid();
+    // Session names come from the catalog, so list them once it has loaded
+    initBrowserGrid().then(loadRunningSessions);
     
     // Start emulator button
     document.getElementById('start-emulator').addEventListener('click', startEmulator);
+    
+    // Reopen a running session
+    document.getElementById('running-session-list').addEventListener('click', (event) => {
+        const button = event.target.closest('.session-open-btn');
+        if (button) {
+            openEmulatorPage(button.dataset.id, document.getElementById('window-target-select').value);
+        }
+    });
+    
+    document.getElementById('network-select').addEventListener('change', updateNetworkSections);
+    document.getElementById('proxy-select').addEventListener('change', updateNetworkSections);
+    
+    // Persistent disk name determines which snapshots can be booted
+    document.getElementById('session-disk-input').addEventListener('change', refreshSnapshotOptions);
+    
+    // A field's validation error goes away once it is changed (the browser grid changes on click)
+    for (const [field, controlId] of Object.entries(FIELD_CONTROLS)) {
+        const eventName = field === 'browser' ? 'click' : 'change';
+        document.getElementById(controlId).addEventListener(eventName, () => clearFieldErrors(field));
+    }
 });
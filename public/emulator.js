@@ -1,5 +1,7 @@
-// Import noVNC RFB class
+// Import noVNC RFB class and keysym tables (for typing text into the guest)
 import RFB from './novnc/rfb.js';
+import KeyTable from './novnc/input/keysym.js';
+import keysyms from './novnc/input/keysymdef.js';
 
 // Theme detection and logo/favicon management
 function initTheme() {
@@ -29,29 +31,200 @@ function updateLogoAndFavicon(isDarkMode) {
 
 // Emulator management
 let currentEmulatorId = null;
+let sessionToken = null;
+let vncPassword = null;
 let rfbConnection = null;
 let reconnectAttempts = 0;
+let isPaused = false;
+let emulatorStopped = false;
+// Opened through a view-only share link: no input and no session controls
+let viewOnly = false;
+
+// Identifies this page's VNC connection for control handoff; only the viewer
+// in control has its keyboard and mouse input forwarded to the guest. Both are
+// issued by the server, and the secret proves control requests come from us
+let viewerId = null;
+let viewerSecret = null;
+let hasControl = false;
+let controlRequested = false;
 const MAX_RECONNECT_ATTEMPTS = 10;
 const RECONNECT_DELAY_MS = 2000;
 
+// Clipboard panel: latest text copied in the guest, and whether it is synced
+// with the host clipboard (lastHostClipboard is the host text the guest has)
+let guestClipboard = '';
+let clipboardSync = false;
+let lastHostClipboard = null;
+let typingText = false;
+const TYPE_KEY_DELAY_MS = 10;
+
+// Console stream state - the offset is the sequence number of the next entry we need
+let consoleSocket = null;
+let consoleOffset = 0;
+let consoleReconnectAttempts = 0;
+
+// Session expiry countdown, shown when the server warns that the session is about to be stopped
+let sessionExpiresAt = null;
+let expiryCountdownTimer = null;
+
+// Serial console terminal (xterm.js, loaded as a global from /vendor/xterm)
+let consoleTerminal = null;
+let consoleFitAddon = null;
+const CONSOLE_SCROLLBACK_LINES = 5000;
+
+// Traffic proxy log, by entry ID; updated live from the console WebSocket
+const trafficEntries = new Map();
+const MAX_TRAFFIC_ROWS = 500;
+let trafficRenderPending = false;
+
+/**
+ * fetch() wrapper that authenticates the request with the session token
+ */
+function apiFetch(url, options = {}) {
+    // Without a token from the URL the session cookie set at start authenticates us
+    if (!sessionToken) {
+        return fetch(url, options);
+    }
+    
+    return fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'X-Session-Token': sessionToken }
+    });
+}
+
+/**
+ * Query string parameter carrying the session token on WebSocket URLs, if we have one
+ */
+function tokenQuery(separator) {
+    return sessionToken ? `${separator}token=${encodeURIComponent(sessionToken)}` : '';
+}
+
+/**
+ * Attach to an existing emulator, fetching its configuration from the server
+ */
+async function attachToEmulator(emulatorId) {
+    try {
+        const response = await apiFetch(`/api/emulator-status/${emulatorId}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            showNoEmulator(response.status === 404
+                ? 'This emulator session no longer exists. Please start a new one from the main page.'
+                : `Cannot open this emulator session: ${data.error}`);
+            return;
+        }
+        
+        currentEmulatorId = emulatorId;
+        vncPassword = data.vncPassword;
+        
+        if (data.role === 'viewer') {
+            enableViewOnlyMode();
+        } else {
+            await registerViewer(emulatorId);
+        }
+        
+        // Recordings belong to the session owner
+        if (data.config.record && !viewOnly) {
+            document.getElementById('recordings-btn').style.display = '';
+        }
+        
+        // As does the shared folder, if the session has one
+        if (data.config.sharedFolder && !viewOnly) {
+            document.getElementById('files-btn').style.display = '';
+        }
+        
+        // So does the traffic log, which may reveal credentials in URLs
+        if (data.config.proxy && !viewOnly) {
+            document.getElementById('traffic-btn').style.display = '';
+        }
+        
+        displayEmulatorInfo(data.config, {
+            emulatorId,
+            hasImage: data.hasImage
+        });
+    } catch (error) {
+        console.error('Error loading emulator:', error);
+        showNoEmulator('Failed to connect to server. Reload the page to try again.');
+    }
+}
+
+/**
+ * Get a viewer ID and secret for control handoff before connecting to the display
+ */
+async function registerViewer(emulatorId) {
+    const response = await apiFetch(`/api/emulators/${emulatorId}/viewers`, { method: 'POST' });
+    const data = await response.json();
+    if (!response.ok) {
+        throw new Error(data.error);
+    }
+    
+    viewerId = data.viewer;
+    viewerSecret = data.secret;
+}
+
+/**
+ * Hide the session controls and disable input for view-only viewers
+ */
+function enableViewOnlyMode() {
+    viewOnly = true;
+    document.getElementById('view-only-badge').style.display = '';
+    document.querySelector('.power-controls').style.display = 'none';
+    ['share-btn', 'snapshots-btn', 'snapshot-panel', 'files-btn', 'files-panel', 'clipboard-send-controls', 'extend-session'].forEach(id => {
+        document.getElementById(id).style.display = 'none';
+    });
+    document.getElementById('console-hint').textContent = 'View only · Ctrl+Shift+C to copy';
+    consoleTerminal.options.disableStdin = true;
+}
+
+function showNoEmulator(message) {
+    const emulatorInfo = document.getElementById('emulator-info');
+    emulatorInfo.innerHTML = '<p class="error-message"></p>';
+    emulatorInfo.querySelector('p').textContent = message;
+    
+    // Update VM placeholder
+    const placeholder = document.getElementById('vm-placeholder');
+    placeholder.innerHTML = `
+        <h3>⚠️ No Emulator Running</h3>
+        <p>Please start an emulator from the main page.</p>
+    `;
+}
+
 function displayEmulatorInfo(config, data) {
     const emulatorInfo = document.getElementById('emulator-info');
-    const consoleOutput = document.getElementById('console-output');
     
     // Display configuration
     const ramText = config.ram === 'unlimited' ? 'Unlimited' : `${config.ram} GB`;
     const vramText = config.vram === '1024' ? '1 GB' : `${config.vram} MB`;
+    const diskText = config.sessionDisk ? `${config.sessionDisk} (persistent)` : 'Temporary (discarded on stop)';
+    const networkText = {
+        offline: 'Offline',
+        nat: 'Internet (NAT)',
+        restricted: 'Restricted (port forwards only)'
+    }[config.network];
+    const forwardsText = (config.portForwards || [])
+        .map(forward => `host ${forward.hostPort} → guest ${forward.guestPort}`)
+        .join(', ');
+    const proxyText = config.proxy ? [
+        'On',
+        config.proxy.allowDomains.length ? `allowing ${config.proxy.allowDomains.join(', ')}` : '',
+        config.proxy.denyDomains.length ? `denying ${config.proxy.denyDomains.join(', ')}` : ''
+    ].filter(Boolean).join(' · ') : '';
     
     emulatorInfo.innerHTML = `
         <p><strong>Browser:</strong> ${config.browser.charAt(0).toUpperCase() + config.browser.slice(1)}</p>
         <p><strong>RAM:</strong> ${ramText}</p>
         <p><strong>VRAM:</strong> ${vramText}</p>
+        <p><strong>Disk:</strong> ${diskText}</p>
+        ${config.snapshot ? `<p><strong>Snapshot:</strong> ${config.snapshot}</p>` : ''}
+        ${networkText ? `<p><strong>Network:</strong> ${networkText}</p>` : ''}
+        ${forwardsText ? `<p><strong>Port Forwards:</strong> ${forwardsText}</p>` : ''}
+        ${proxyText ? `<p><strong>Traffic Proxy:</strong> ${proxyText}</p>` : ''}
         <p><strong>Emulator ID:</strong> ${data.emulatorId}</p>
-        <p><strong>Status:</strong> <span style="color: var(--accent-color);">Running</span></p>
+        <p><strong>Status:</strong> <span id="emulator-run-state" style="color: var(--accent-color);">Running</span></p>
     `;
     
-    // Display console output
-    consoleOutput.textContent = data.output || 'Emulator starting...\n';
+    // Console output is replayed from the start of the server-side backlog
+    consoleTerminal.reset();
     
     // Update connection info display
     document.getElementById('connection-info').style.display = 'block';
@@ -61,8 +234,11 @@ function displayEmulatorInfo(config, data) {
     // Initialize VM display with noVNC
     initVmDisplay(data.hasImage, data.emulatorId);
     
-    // Start polling for updates
-    pollEmulatorStatus();
+    // Power controls are available as soon as the emulator is registered
+    setPowerControlsEnabled(true);
+    
+    // Stream console output and lifecycle events
+    connectConsole();
 }
 
 function initVmDisplay(hasImage, emulatorId) {
@@ -106,17 +282,22 @@ function connectToVnc(emulatorId) {
     
     // Build WebSocket URL for VNC proxy
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
-    const wsUrl = `${protocol}//${window.location.host}/vnc/${emulatorId}`;
+    const viewerQuery = viewerId ? `?viewer=${viewerId}&secret=${encodeURIComponent(viewerSecret)}` : '';
+    const wsPath = `${protocol}//${window.location.host}/vnc/${emulatorId}`;
+    const wsUrl = `${wsPath}${viewerQuery}${tokenQuery(viewerQuery ? '&' : '?')}`;
     
-    console.log(`Connecting to VNC WebSocket: ${wsUrl}`);
+    // The query string holds the session token and viewer secret, keep them out of the console
+    console.log(`Connecting to VNC WebSocket: ${wsPath}`);
     
     try {
         // Create noVNC RFB connection
         rfbConnection = new RFB(vncScreen, wsUrl, {
             scaleViewport: true,
             resizeSession: false,
-            credentials: { password: '' }
+            credentials: { password: vncPassword }
         });
+        // The server drops input from viewers not in control anyway
+        rfbConnection.viewOnly = viewOnly || !hasControl;
         
         // Handle connection events
         rfbConnection.addEventListener('connect', () => {
@@ -149,8 +330,7 @@ function connectToVnc(emulatorId) {
         
         rfbConnection.addEventListener('credentialsrequired', () => {
             console.log('VNC credentials required');
-            // Try with empty password
-            rfbConnection.sendCredentials({ password: '' });
+            rfbConnection.sendCredentials({ password: vncPassword });
         });
         
         rfbConnection.addEventListener('securityfailure', (e) => {
@@ -158,8 +338,9 @@ function connectToVnc(emulatorId) {
         });
         
         rfbConnection.addEventListener('clipboard', (e) => {
-            console.log('VNC clipboard:', e.detail.text);
+            handleGuestClipboard(e.detail.text);
         });
+        updateClipboardControls();
         
     } catch (error) {
         console.error('Failed to create VNC connection:', error);
@@ -204,34 +385,538 @@ function handleVncConnectionFailure(emulatorId) {
     }
 }
 
-async function pollEmulatorStatus() {
+function connectConsole() {
     if (!currentEmulatorId) return;
     
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const wsUrl = `${protocol}//${window.location.host}/console/${currentEmulatorId}?offset=${consoleOffset}${tokenQuery('&')}`;
+    
+    consoleSocket = new WebSocket(wsUrl);
+    
+    consoleSocket.addEventListener('message', (event) => {
+        handleConsoleMessage(JSON.parse(event.data));
+    });
+    
+    consoleSocket.addEventListener('close', () => {
+        consoleSocket = null;
+        
+        // Resume from the last entry received unless the emulator is gone
+        if (currentEmulatorId && !emulatorStopped && consoleReconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+            consoleReconnectAttempts++;
+            setTimeout(connectConsole, RECONNECT_DELAY_MS);
+        }
+    });
+}
+
+function handleConsoleMessage(message) {
+    switch (message.type) {
+        case 'hello':
+            consoleReconnectAttempts = 0;
+            updatePausedState(message.paused);
+            break;
+        case 'stdout':
+        case 'stderr':
+        case 'system':
+            appendConsoleOutput(message.data, message.type);
+            consoleOffset = message.seq + 1;
+            break;
+        case 'lifecycle':
+            appendConsoleOutput(message.data, 'system');
+            consoleOffset = message.seq + 1;
+            handleLifecycleEvent(message);
+            break;
+        case 'expiry':
+            handleExpiry(message);
+            break;
+        case 'control':
+            handleControl(message);
+            break;
+        case 'traffic':
+            handleTrafficEntry(message.entry);
+            break;
+        case 'truncated':
+            appendConsoleOutput(`[${message.to - message.from} earlier console entries are no longer available]\n`, 'system');
+            break;
+        case 'error':
+            appendConsoleOutput(`\n${message.error}\n`, 'stderr');
+            break;
+    }
+}
+
+function handleExpiry(message) {
+    sessionExpiresAt = Date.now() + message.expiresIn * 1000;
+    document.getElementById('extend-session').textContent = `Extend by ${Math.round(message.extendBy / 60)} min`;
+    
+    if (message.warning) {
+        document.getElementById('session-warning').style.display = '';
+        updateExpiryCountdown();
+        if (!expiryCountdownTimer) {
+            expiryCountdownTimer = setInterval(updateExpiryCountdown, 1000);
+        }
+    } else {
+        hideExpiryWarning();
+    }
+}
+
+function updateExpiryCountdown() {
+    const secondsLeft = Math.max(0, Math.ceil((sessionExpiresAt - Date.now()) / 1000));
+    const minutes = Math.floor(secondsLeft / 60);
+    const seconds = String(secondsLeft % 60).padStart(2, '0');
+    
+    document.getElementById('session-warning-text').textContent =
+        `This session has reached its time limit and will be stopped in ${minutes}:${seconds}.`;
+}
+
+function hideExpiryWarning() {
+    document.getElementById('session-warning').style.display = 'none';
+    clearInterval(expiryCountdownTimer);
+    expiryCountdownTimer = null;
+}
+
+async function extendSession() {
+    const button = document.getElementById('extend-session');
+    button.disabled = true;
+    
     try {
-        const response = await fetch(`/api/emulator-status/${currentEmulatorId}`);
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/extend`, { method: 'POST' });
         const data = await response.json();
         
-        if (response.ok) {
-            const consoleOutput = document.getElementById('console-output');
-            if (data.output) {
-                consoleOutput.textContent += data.output;
-                // Auto-scroll to bottom
-                consoleOutput.scrollTop = consoleOutput.scrollHeight;
-            }
+        // The server also pushes the new expiry to every open page, which hides the warning
+        if (!response.ok) {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        console.error('Error extending session:', error);
+        alert('Failed to extend the session.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Show who is in control of the display, and pending requests to the driver
+ */
+function handleControl(message) {
+    const me = message.viewers.find(viewer => viewer.id === viewerId);
+    hasControl = !!me && message.driver?.id === viewerId;
+    controlRequested = message.requests.some(viewer => viewer.id === viewerId);
+    
+    if (rfbConnection) {
+        rfbConnection.viewOnly = viewOnly || !hasControl;
+    }
+    updateClipboardControls();
+    
+    const status = document.getElementById('control-status');
+    if (hasControl) {
+        status.textContent = `You (${me.name}) are in control`;
+    } else if (message.driver) {
+        status.textContent = `${message.driver.name} is in control`;
+    } else {
+        status.textContent = 'Nobody is in control';
+    }
+    
+    // View-only viewers and pages whose display isn't connected can't take control
+    const button = document.getElementById('control-btn');
+    button.style.display = viewOnly || !me ? 'none' : '';
+    if (hasControl) {
+        button.textContent = 'Release Control';
+    } else if (controlRequested) {
+        button.textContent = 'Cancel Request';
+    } else {
+        button.textContent = message.driver ? 'Request Control' : 'Take Control';
+    }
+    document.getElementById('control-bar').style.display = message.viewers.length > 0 ? '' : 'none';
+    
+    const requestList = document.getElementById('control-requests');
+    requestList.innerHTML = '';
+    if (hasControl) {
+        message.requests.forEach((viewer) => {
+            const item = document.createElement('li');
+            item.innerHTML = '<span></span><button class="fullscreen-btn">Grant Control</button>';
+            item.querySelector('span').textContent = `${viewer.name} wants control`;
+            item.querySelector('button').dataset.viewer = viewer.id;
+            requestList.appendChild(item);
+        });
+    }
+}
+
+async function controlRequest(action, body = {}) {
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/control/${action}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ viewer: viewerId, secret: viewerSecret, ...body })
+        });
+        
+        // The new state arrives as a 'control' message on the console stream
+        if (!response.ok) {
+            const data = await response.json();
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        console.error(`Error sending control ${action}:`, error);
+        alert('Failed to change control of the display.');
+    }
+}
+
+function toggleControl() {
+    controlRequest(hasControl || controlRequested ? 'release' : 'request');
+}
+
+function handleControlRequestClick(event) {
+    const button = event.target.closest('button[data-viewer]');
+    if (button) {
+        controlRequest('grant', { to: button.dataset.viewer });
+    }
+}
+
+function handleLifecycleEvent(message) {
+    switch (message.event) {
+        case 'paused':
+        case 'resumed':
+            updatePausedState(message.paused);
+            break;
+        case 'stopped':
+            updateEmulatorStopped();
+            break;
+    }
+}
+
+function initConsoleTerminal() {
+    consoleTerminal = new Terminal({
+        convertEol: true,
+        cursorBlink: true,
+        scrollback: CONSOLE_SCROLLBACK_LINES,
+        fontFamily: "'Courier New', monospace",
+        fontSize: 14,
+        theme: {
+            background: '#000000',
+            foreground: '#00ff00'
+        }
+    });
+    consoleFitAddon = new FitAddon.FitAddon();
+    consoleTerminal.loadAddon(consoleFitAddon);
+    consoleTerminal.open(document.getElementById('console-terminal'));
+    consoleFitAddon.fit();
+    
+    // Keystrokes and pasted text go to the guest's serial port
+    consoleTerminal.onData(sendConsoleInput);
+    
+    // Ctrl+C is sent to the guest, so copying uses Ctrl+Shift+C like most terminals
+    consoleTerminal.attachCustomKeyEventHandler((event) => {
+        if (event.type === 'keydown' && event.ctrlKey && event.shiftKey && event.code === 'KeyC') {
+            copyConsoleOutput();
+            return false;
+        }
+        return true;
+    });
+    
+    window.addEventListener('resize', () => consoleFitAddon.fit());
+}
+
+function sendConsoleInput(data) {
+    if (viewOnly || emulatorStopped || !consoleSocket || consoleSocket.readyState !== WebSocket.OPEN) return;
+    consoleSocket.send(JSON.stringify({ type: 'input', data }));
+}
+
+function appendConsoleOutput(text, type) {
+    if (!text) return;
+    
+    // Server and QEMU messages are coloured so they stand out from guest output
+    if (type === 'stderr') {
+        consoleTerminal.write(`\x1b[31m${text}\x1b[0m`);
+    } else if (type === 'system') {
+        consoleTerminal.write(`\x1b[36m${text}\x1b[0m`);
+    } else {
+        consoleTerminal.write(text);
+    }
+}
+
+/**
+ * Copy the selected console text, or the whole scrollback if nothing is selected
+ */
+async function copyConsoleOutput() {
+    let text = consoleTerminal.getSelection();
+    
+    if (!text) {
+        const buffer = consoleTerminal.buffer.active;
+        const lines = [];
+        for (let i = 0; i < buffer.length; i++) {
+            lines.push(buffer.getLine(i).translateToString(true));
+        }
+        text = lines.join('\n').trimEnd();
+    }
+    
+    const button = document.getElementById('console-copy-btn');
+    try {
+        await navigator.clipboard.writeText(text);
+        button.textContent = 'Copied';
+    } catch (error) {
+        console.error('Error copying console output:', error);
+        button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+}
+
+/**
+ * Show text copied inside the guest, and mirror it to the host clipboard when syncing
+ */
+async function handleGuestClipboard(text) {
+    guestClipboard = text;
+    document.getElementById('clipboard-guest-text').textContent = text;
+    document.getElementById('clipboard-copy-btn').disabled = false;
+    
+    if (clipboardSync) {
+        try {
+            await navigator.clipboard.writeText(text);
+            // Don't send it straight back to the guest on the next sync
+            lastHostClipboard = text;
+        } catch (error) {
+            // Writing needs the page to be focused; the panel still shows the text
+            console.warn('Could not copy the guest clipboard to the host:', error);
+        }
+    }
+}
+
+async function copyGuestClipboard() {
+    const button = document.getElementById('clipboard-copy-btn');
+    try {
+        await navigator.clipboard.writeText(guestClipboard);
+        button.textContent = 'Copied';
+    } catch (error) {
+        console.error('Error copying guest clipboard:', error);
+        button.textContent = 'Copy failed';
+    }
+    setTimeout(() => { button.textContent = 'Copy'; }, 1500);
+}
+
+/**
+ * Enable sending text to the guest only while this page is in control of the
+ * display, since the server drops clipboard and key messages from other viewers
+ */
+function updateClipboardControls() {
+    const canSend = !!rfbConnection && hasControl && !emulatorStopped;
+    document.getElementById('clipboard-paste-btn').disabled = !canSend || typingText;
+    document.getElementById('clipboard-type-btn').disabled = !canSend || typingText;
+    
+    const note = document.getElementById('clipboard-note');
+    if (emulatorStopped) {
+        note.textContent = '';
+    } else if (!rfbConnection) {
+        note.textContent = 'The clipboard is only available while the VM display is connected.';
+    } else if (!hasControl && !viewOnly) {
+        note.textContent = 'Take control of the display to send text to the guest.';
+    } else if (typingText) {
+        note.textContent = 'Typing...';
+    }
+}
+
+function pasteToGuest() {
+    const text = document.getElementById('clipboard-input').value;
+    rfbConnection.clipboardPasteFrom(text);
+    document.getElementById('clipboard-note').textContent = 'Guest clipboard set. Paste it in the guest with Ctrl+V.';
+}
+
+/**
+ * Send text as individual key presses, for guests that don't support the
+ * VNC clipboard
+ */
+async function typeIntoGuest() {
+    const text = document.getElementById('clipboard-input').value.replace(/\r\n/g, '\n');
+    if (!text) return;
+    
+    typingText = true;
+    updateClipboardControls();
+    
+    try {
+        for (const char of text) {
+            // Stop if control was handed to someone else in the meantime
+            if (!rfbConnection || !hasControl) break;
             
-            // Continue polling if emulator is still running
-            if (data.running) {
-                setTimeout(pollEmulatorStatus, 2000);
+            let keysym;
+            if (char === '\n') {
+                keysym = KeyTable.XK_Return;
+            } else if (char === '\t') {
+                keysym = KeyTable.XK_Tab;
             } else {
-                updateEmulatorStopped();
+                keysym = keysyms.lookup(char.codePointAt(0));
             }
+            
+            rfbConnection.sendKey(keysym);
+            await new Promise(resolve => setTimeout(resolve, TYPE_KEY_DELAY_MS));
+        }
+    } finally {
+        typingText = false;
+        document.getElementById('clipboard-note').textContent = '';
+        updateClipboardControls();
+    }
+}
+
+async function setClipboardSync(enabled) {
+    clipboardSync = enabled && !!navigator.clipboard?.readText;
+    document.getElementById('clipboard-sync').checked = clipboardSync;
+    
+    if (enabled && !clipboardSync) {
+        document.getElementById('clipboard-note').textContent = 'This browser does not allow pages to read the clipboard.';
+    }
+    
+    if (clipboardSync) {
+        lastHostClipboard = null;
+        await syncHostClipboard();
+    }
+}
+
+/**
+ * Push the host clipboard to the guest if it changed since the last sync.
+ * Runs when the page regains focus, which is when the user may have copied
+ * something elsewhere.
+ */
+async function syncHostClipboard() {
+    if (!clipboardSync || !rfbConnection || !hasControl || !document.hasFocus()) return;
+    
+    try {
+        const text = await navigator.clipboard.readText();
+        if (text !== lastHostClipboard) {
+            lastHostClipboard = text;
+            rfbConnection.clipboardPasteFrom(text);
+        }
+    } catch (error) {
+        // Denied by the user or not allowed outside a click in this browser
+        if (error.name === 'NotAllowedError') {
+            await setClipboardSync(false);
+            document.getElementById('clipboard-note').textContent = 'Clipboard access was not permitted; use the buttons above instead.';
+        } else {
+            console.warn('Could not read the host clipboard:', error);
+        }
+    }
+}
+
+/**
+ * Download a PNG screenshot of the guest display, captured by the server
+ */
+async function downloadScreenshot() {
+    const button = document.getElementById('screenshot-btn');
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/screenshot?download=1`);
+        
+        if (!response.ok) {
+            const data = await response.json();
+            alert(`Error: ${data.error}`);
+            return;
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(await response.blob());
+        link.download = (disposition.match(/filename="([^"]+)"/) || [])[1] || 'screenshot.png';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    } catch (error) {
+        console.error('Error taking screenshot:', error);
+        alert('Failed to take a screenshot.');
+    } finally {
+        button.disabled = emulatorStopped;
+    }
+}
+
+/**
+ * Create a view-only share link and copy it to the clipboard
+ */
+async function shareSession() {
+    const button = document.getElementById('share-btn');
+    button.disabled = true;
+    
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/share`, { method: 'POST' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            alert(`Error: ${data.error}`);
+            return;
+        }
+        
+        const link = new URL(data.url, window.location.href).href;
+        try {
+            await navigator.clipboard.writeText(link);
+            button.textContent = 'Link copied';
+            setTimeout(() => { button.textContent = 'Share'; }, 1500);
+        } catch {
+            prompt('View-only link for this session:', link);
         }
     } catch (error) {
-        console.error('Error polling emulator status:', error);
+        console.error('Error creating share link:', error);
+        alert('Failed to create a share link.');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function setPowerControlsEnabled(enabled) {
+    ['pause-emulator', 'reset-emulator', 'powerdown-emulator'].forEach(id => {
+        document.getElementById(id).disabled = !enabled;
+    });
+}
+
+function updatePausedState(paused) {
+    isPaused = paused;
+    document.getElementById('pause-emulator').textContent = paused ? 'Resume' : 'Pause';
+    
+    const runState = document.getElementById('emulator-run-state');
+    if (runState) {
+        runState.textContent = paused ? 'Paused' : 'Running';
     }
 }
 
+async function sendPowerAction(action) {
+    if (!currentEmulatorId) return;
+    
+    setPowerControlsEnabled(false);
+    
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/${action}`, {
+            method: 'POST'
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            updatePausedState(data.paused);
+        } else {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        console.error(`Error sending ${action} to emulator:`, error);
+        alert(`Failed to ${action} emulator.`);
+    } finally {
+        setPowerControlsEnabled(true);
+    }
+}
+
+function togglePause() {
+    sendPowerAction(isPaused ? 'resume' : 'pause');
+}
+
+function resetEmulator() {
+    if (confirm('Reset the VM? Unsaved work in the guest will be lost.')) {
+        sendPowerAction('reset');
+    }
+}
+
+function powerDownEmulator() {
+    sendPowerAction('powerdown');
+}
+
 function updateEmulatorStopped() {
+    emulatorStopped = true;
+    setPowerControlsEnabled(false);
+    consoleTerminal.options.disableStdin = true;
+    hideExpiryWarning();
+    document.getElementById('control-bar').style.display = 'none';
+    document.getElementById('screenshot-btn').disabled = true;
+    document.getElementById('control-requests').innerHTML = '';
+    
     const emulatorInfo = document.getElementById('emulator-info');
     const statusText = emulatorInfo.querySelector('p:last-child');
     if (statusText) {
@@ -251,6 +936,7 @@ function updateEmulatorStopped() {
         rfbConnection.disconnect();
         rfbConnection = null;
     }
+    updateClipboardControls();
 }
 
 async function stopEmulator() {
@@ -267,7 +953,7 @@ async function stopEmulator() {
     }
     
     try {
-        const response = await fetch(`/api/stop-emulator/${currentEmulatorId}`, {
+        const response = await apiFetch(`/api/stop-emulator/${currentEmulatorId}`, {
             method: 'POST'
         });
         
@@ -294,6 +980,362 @@ async function stopEmulator() {
     }
 }
 
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    }
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+async function toggleSnapshotPanel() {
+    const panel = document.getElementById('snapshot-panel');
+    const visible = panel.style.display !== 'none';
+    panel.style.display = visible ? 'none' : 'block';
+    
+    if (!visible) {
+        await loadSnapshots();
+    }
+}
+
+async function loadSnapshots() {
+    if (!currentEmulatorId) return;
+    
+    const list = document.getElementById('snapshot-list');
+    const note = document.getElementById('snapshot-note');
+    
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/snapshots`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            note.textContent = data.error;
+            list.innerHTML = '';
+            return;
+        }
+        
+        note.textContent = data.persistent
+            ? 'Snapshots are stored on the persistent session disk and can be booted from the main page.'
+            : 'This session uses a temporary disk - snapshots are lost when the emulator stops.';
+        
+        if (data.snapshots.length === 0) {
+            list.innerHTML = '<li><span>No snapshots saved yet</span></li>';
+            return;
+        }
+        
+        list.innerHTML = data.snapshots.map(snapshot => `
+            <li>
+                <div>
+                    <strong>${escapeHtml(snapshot.name)}</strong>
+                    <span>${new Date(snapshot.date).toLocaleString()} &middot; ${formatBytes(snapshot.vmStateSize)}</span>
+                </div>
+                <div class="snapshot-actions">
+                    <button class="fullscreen-btn" data-restore="${escapeHtml(snapshot.name)}">Restore</button>
+                    <button class="fullscreen-btn" data-delete="${escapeHtml(snapshot.name)}">Delete</button>
+                </div>
+            </li>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading snapshots:', error);
+        note.textContent = 'Failed to load snapshots.';
+    }
+}
+
+async function snapshotRequest(url, method, body) {
+    const options = { method };
+    if (body) {
+        options.headers = { 'Content-Type': 'application/json' };
+        options.body = JSON.stringify(body);
+    }
+    
+    try {
+        const response = await apiFetch(url, options);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            alert(`Error: ${data.error}`);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error('Snapshot request failed:', error);
+        alert('Snapshot request failed.');
+        return false;
+    }
+}
+
+async function saveSnapshot() {
+    const nameInput = document.getElementById('snapshot-name');
+    const saveButton = document.getElementById('save-snapshot');
+    const name = nameInput.value.trim();
+    
+    if (!name) {
+        nameInput.focus();
+        return;
+    }
+    
+    saveButton.disabled = true;
+    saveButton.textContent = 'Saving...';
+    
+    if (await snapshotRequest(`/api/emulators/${currentEmulatorId}/snapshots`, 'POST', { name })) {
+        nameInput.value = '';
+    }
+    
+    saveButton.disabled = false;
+    saveButton.textContent = 'Save Snapshot';
+    await loadSnapshots();
+}
+
+async function handleSnapshotListClick(event) {
+    const restoreName = event.target.dataset.restore;
+    const deleteName = event.target.dataset.delete;
+    
+    if (restoreName && confirm(`Restore snapshot "${restoreName}"? The current VM state will be lost.`)) {
+        event.target.disabled = true;
+        event.target.textContent = 'Restoring...';
+        await snapshotRequest(`/api/emulators/${currentEmulatorId}/snapshots/${encodeURIComponent(restoreName)}/restore`, 'POST');
+        await loadSnapshots();
+    } else if (deleteName && confirm(`Delete snapshot "${deleteName}"?`)) {
+        await snapshotRequest(`/api/emulators/${currentEmulatorId}/snapshots/${encodeURIComponent(deleteName)}`, 'DELETE');
+        await loadSnapshots();
+    }
+}
+
+async function toggleFilesPanel() {
+    const panel = document.getElementById('files-panel');
+    const visible = panel.style.display !== 'none';
+    panel.style.display = visible ? 'none' : 'block';
+    
+    if (!visible) {
+        await loadFiles();
+    }
+}
+
+/**
+ * URL of a file in the shared folder, with subfolders kept as path segments
+ */
+function sharedFileUrl(name) {
+    return `/api/emulators/${currentEmulatorId}/files/${name.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+async function loadFiles() {
+    if (!currentEmulatorId) return;
+    
+    const list = document.getElementById('file-list');
+    const note = document.getElementById('files-note');
+    
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/files`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            note.textContent = data.error;
+            list.innerHTML = '';
+            return;
+        }
+        
+        note.textContent = `${formatBytes(data.used)} of ${formatBytes(data.limit)} used. ` +
+            `Mount the folder in the guest with: mount -t 9p -o trans=virtio,version=9p2000.L ${data.mountTag} /mnt/shared`;
+        
+        if (data.files.length === 0) {
+            list.innerHTML = '<li><span>No files yet</span></li>';
+            return;
+        }
+        
+        // File names come from the guest, so they're never interpolated into HTML
+        list.innerHTML = '';
+        data.files.forEach((file) => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <div>
+                    <strong></strong>
+                    <span>${new Date(file.modified).toLocaleString()} &middot; ${formatBytes(file.size)}</span>
+                </div>
+                <div class="file-actions">
+                    <a class="fullscreen-btn">Download</a>
+                    <button class="fullscreen-btn">Delete</button>
+                </div>
+            `;
+            item.querySelector('strong').textContent = file.name;
+            item.querySelector('a').href = `${sharedFileUrl(file.name)}${tokenQuery('?')}`;
+            item.querySelector('button').dataset.delete = file.name;
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading shared files:', error);
+        note.textContent = 'Failed to load files.';
+    }
+}
+
+/**
+ * Upload files into the shared folder one after another
+ */
+async function uploadFiles(files) {
+    const note = document.getElementById('files-note');
+    
+    for (const file of files) {
+        note.textContent = `Uploading ${file.name}...`;
+        
+        try {
+            // Sent as raw bytes; a JSON content type would be parsed by the server
+            const response = await apiFetch(sharedFileUrl(file.name), {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/octet-stream' },
+                body: file
+            });
+            
+            if (!response.ok) {
+                const data = await response.json();
+                alert(`Error uploading ${file.name}: ${data.error}`);
+                break;
+            }
+        } catch (error) {
+            console.error('Error uploading file:', error);
+            alert(`Failed to upload ${file.name}.`);
+            break;
+        }
+    }
+    
+    await loadFiles();
+}
+
+async function handleFileListClick(event) {
+    const deleteName = event.target.dataset.delete;
+    
+    if (deleteName && confirm(`Delete "${deleteName}" from the shared folder?`)) {
+        try {
+            const response = await apiFetch(sharedFileUrl(deleteName), { method: 'DELETE' });
+            if (!response.ok) {
+                const data = await response.json();
+                alert(`Error: ${data.error}`);
+            }
+        } catch (error) {
+            console.error('Error deleting file:', error);
+            alert('Failed to delete the file.');
+        }
+        await loadFiles();
+    }
+}
+
+async function toggleTrafficPanel() {
+    const panel = document.getElementById('traffic-panel');
+    const visible = panel.style.display !== 'none';
+    panel.style.display = visible ? 'none' : 'block';
+    
+    if (!visible) {
+        await loadTraffic();
+    }
+}
+
+async function loadTraffic() {
+    if (!currentEmulatorId) return;
+    
+    const note = document.getElementById('traffic-note');
+    
+    try {
+        const response = await apiFetch(`/api/emulators/${currentEmulatorId}/traffic`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            note.textContent = data.error;
+            return;
+        }
+        
+        note.textContent = `Set the guest browser's HTTP and HTTPS proxy to ${data.guestAddress}. ` +
+            'HTTPS requests are tunnelled, so only their host and size are logged.';
+        document.getElementById('traffic-export-btn').href =
+            `/api/emulators/${currentEmulatorId}/traffic.har${tokenQuery('?')}`;
+        
+        trafficEntries.clear();
+        data.entries.forEach(entry => trafficEntries.set(entry.id, entry));
+        renderTraffic();
+    } catch (error) {
+        console.error('Error loading traffic log:', error);
+        note.textContent = 'Failed to load the traffic log.';
+    }
+}
+
+/**
+ * Record a new or updated traffic log entry sent over the console WebSocket
+ */
+function handleTrafficEntry(entry) {
+    trafficEntries.set(entry.id, entry);
+    
+    // The server keeps the full log for the HAR export
+    if (trafficEntries.size > MAX_TRAFFIC_ROWS) {
+        trafficEntries.delete(trafficEntries.keys().next().value);
+    }
+    
+    // Busy pages send many updates, so redraw at most once per frame
+    if (document.getElementById('traffic-panel').style.display !== 'none' && !trafficRenderPending) {
+        trafficRenderPending = true;
+        requestAnimationFrame(() => {
+            trafficRenderPending = false;
+            renderTraffic();
+        });
+    }
+}
+
+function formatTransferSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    if (bytes >= 1024) {
+        return `${(bytes / 1024).toFixed(1)} KB`;
+    }
+    return `${bytes} B`;
+}
+
+/**
+ * Render the traffic log, newest request first
+ */
+function renderTraffic() {
+    const list = document.getElementById('traffic-list');
+    const entries = Array.from(trafficEntries.values()).slice(-MAX_TRAFFIC_ROWS).reverse();
+    
+    if (entries.length === 0) {
+        list.innerHTML = '<tr><td colspan="5">No requests yet</td></tr>';
+        return;
+    }
+    
+    // URLs come from the guest, so they're never interpolated into HTML
+    list.innerHTML = '';
+    entries.forEach((entry) => {
+        const row = document.createElement('tr');
+        let status = entry.status === null ? 'Pending' : String(entry.status);
+        if (entry.blocked) {
+            status = 'Blocked';
+            row.classList.add('blocked');
+        } else if (entry.error) {
+            status = 'Error';
+            row.classList.add('failed');
+            row.title = entry.error;
+        }
+        
+        [
+            entry.method,
+            status,
+            entry.url,
+            formatTransferSize(entry.responseBytes),
+            entry.duration === null ? '' : `${entry.duration} ms`
+        ].forEach((text, index) => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            // Long URLs are cut off, hovering shows them in full
+            if (index === 2) {
+                cell.title = text;
+            }
+            row.appendChild(cell);
+        });
+        list.appendChild(row);
+    });
+}
+
 function toggleFullscreen() {
     const vmScreen = document.getElementById('vm-screen');
     if (!document.fullscreenElement) {
@@ -308,59 +1350,103 @@ function toggleFullscreen() {
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', () => {
     initTheme();
+    initConsoleTerminal();
     
-    // Get emulator data from sessionStorage
-    const emulatorId = sessionStorage.getItem('emulatorId');
-    const configStr = sessionStorage.getItem('emulatorConfig');
-    const output = sessionStorage.getItem('emulatorOutput');
-    const hasImage = sessionStorage.getItem('hasImage') === 'true';
+    // The session is identified by emulator.html?id=<emulatorId>, optionally with &token=<session token>
+    const params = new URLSearchParams(window.location.search);
+    const emulatorId = params.get('id');
+    sessionToken = params.get('token');
     
-    if (emulatorId && configStr) {
-        currentEmulatorId = emulatorId;
-        const config = JSON.parse(configStr);
-        
-        displayEmulatorInfo(config, {
-            emulatorId: emulatorId,
-            output: output,
-            hasImage: hasImage
-        });
-        
-        // Clear sessionStorage
-        sessionStorage.removeItem('emulatorId');
-        sessionStorage.removeItem('emulatorConfig');
-        sessionStorage.removeItem('emulatorOutput');
-        sessionStorage.removeItem('vncPort');
-        sessionStorage.removeItem('websocketPort');
-        sessionStorage.removeItem('hasImage');
+    if (emulatorId) {
+        attachToEmulator(emulatorId);
     } else {
-        // No emulator data found
-        document.getElementById('emulator-info').innerHTML = 
-            '<p class="error-message">No emulator data found. Please start an emulator from the main page.</p>';
-        
-        // Update VM placeholder
-        const placeholder = document.getElementById('vm-placeholder');
-        placeholder.innerHTML = `
-            <h3>⚠️ No Emulator Running</h3>
-            <p>Please start an emulator from the main page.</p>
-        `;
+        showNoEmulator('No emulator selected. Please start an emulator from the main page.');
     }
     
     // Stop emulator button
     document.getElementById('stop-emulator').addEventListener('click', stopEmulator);
     
+    // Power control buttons
+    document.getElementById('pause-emulator').addEventListener('click', togglePause);
+    document.getElementById('reset-emulator').addEventListener('click', resetEmulator);
+    document.getElementById('powerdown-emulator').addEventListener('click', powerDownEmulator);
+    
     // Fullscreen button
     document.getElementById('fullscreen-btn').addEventListener('click', toggleFullscreen);
     
-    // Handle window close - stop emulator
+    // Session expiry warning
+    document.getElementById('extend-session').addEventListener('click', extendSession);
+    
+    // Serial console buttons
+    document.getElementById('console-copy-btn').addEventListener('click', copyConsoleOutput);
+    document.getElementById('console-clear-btn').addEventListener('click', () => consoleTerminal.clear());
+    
+    // Shared folder: upload by picking or dropping files onto the drop zone
+    const fileDrop = document.getElementById('file-drop');
+    const fileInput = document.getElementById('file-input');
+    document.getElementById('files-btn').addEventListener('click', toggleFilesPanel);
+    document.getElementById('file-list').addEventListener('click', handleFileListClick);
+    fileInput.addEventListener('change', async () => {
+        await uploadFiles(Array.from(fileInput.files));
+        fileInput.value = '';
+    });
+    fileDrop.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        fileDrop.classList.add('dragover');
+    });
+    fileDrop.addEventListener('dragleave', () => fileDrop.classList.remove('dragover'));
+    fileDrop.addEventListener('drop', (e) => {
+        e.preventDefault();
+        fileDrop.classList.remove('dragover');
+        uploadFiles(Array.from(e.dataTransfer.files));
+    });
+    
+    // Traffic proxy log
+    document.getElementById('traffic-btn').addEventListener('click', toggleTrafficPanel);
+    
+    // Clipboard panel
+    document.getElementById('clipboard-btn').addEventListener('click', () => {
+        const panel = document.getElementById('clipboard-panel');
+        panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+    });
+    document.getElementById('clipboard-copy-btn').addEventListener('click', copyGuestClipboard);
+    document.getElementById('clipboard-paste-btn').addEventListener('click', pasteToGuest);
+    document.getElementById('clipboard-type-btn').addEventListener('click', typeIntoGuest);
+    document.getElementById('clipboard-sync').addEventListener('change', (e) => setClipboardSync(e.target.checked));
+    window.addEventListener('focus', syncHostClipboard);
+    updateClipboardControls();
+    
+    // Server-side screenshot
+    document.getElementById('screenshot-btn').addEventListener('click', downloadScreenshot);
+    
+    // View-only share link
+    document.getElementById('share-btn').addEventListener('click', shareSession);
+    
+    // Recordings of this session open in the playback page
+    document.getElementById('recordings-btn').addEventListener('click', () => {
+        window.open(`playback.html${tokenQuery('?')}`, '_blank');
+    });
+    
+    // Control handoff
+    document.getElementById('control-btn').addEventListener('click', toggleControl);
+    document.getElementById('control-requests').addEventListener('click', handleControlRequestClick);
+    
+    // Snapshot panel
+    document.getElementById('snapshots-btn').addEventListener('click', toggleSnapshotPanel);
+    document.getElementById('save-snapshot').addEventListener('click', saveSnapshot);
+    document.getElementById('snapshot-list').addEventListener('click', handleSnapshotListClick);
+    
+    // Handle window close - the server stops the emulator after a grace
+    // period unless the page is reloaded or reopened in time. A view-only
+    // viewer leaving doesn't detach the session.
     window.addEventListener('beforeunload', () => {
-        if (currentEmulatorId) {
+        if (currentEmulatorId && !emulatorStopped && !viewOnly) {
             // Disconnect VNC
             if (rfbConnection) {
                 rfbConnection.disconnect();
             }
             
-            // Send stop request (async, may not complete before window closes)
-            fetch(`/api/stop-emulator/${currentEmulatorId}`, {
+            apiFetch(`/api/emulators/${currentEmulatorId}/detach`, {
                 method: 'POST',
                 keepalive: true
             });
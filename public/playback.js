@@ -0,0 +1,341 @@
+// Import noVNC RFB class
+import RFB from './novnc/rfb.js';
+
+// Theme detection and logo/favicon management
+function initTheme() {
+    const darkMode = window.matchMedia('(prefers-color-scheme: dark)').matches;
+    updateLogoAndFavicon(darkMode);
+    
+    // Listen for theme changes
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
+        updateLogoAndFavicon(e.matches);
+    });
+}
+
+function updateLogoAndFavicon(isDarkMode) {
+    const logo = document.getElementById('logo');
+    const favicon = document.getElementById('favicon');
+    
+    // In dark mode, use light logo/favicon (inverse)
+    // In light mode, use dark logo/favicon (inverse)
+    if (isDarkMode) {
+        logo.src = 'images/browser_ig_logo_light.png';
+        favicon.href = 'images/favicon_light.png';
+    } else {
+        logo.src = 'images/browser_ig_logo_dark.png';
+        favicon.href = 'images/favicon_dark.png';
+    }
+}
+
+// Session token from ?token=, for recordings of sessions this browser didn't start
+let sessionToken = null;
+
+// Recording being played: [millisecondsSinceStart, base64Data] frames of the
+// server-to-client RFB stream, fed into noVNC through a fake WebSocket
+let frames = [];
+let duration = 0;
+let rfb = null;
+let channel = null;
+let nextFrame = 0;
+let position = 0;
+let playing = false;
+let speed = 1;
+let lastTick = null;
+let tickTimer = null;
+const TICK_INTERVAL_MS = 20;
+
+/**
+ * fetch() wrapper that authenticates the request with the session token
+ */
+function apiFetch(url, options = {}) {
+    // Without a token from the URL the session cookies authenticate us
+    if (!sessionToken) {
+        return fetch(url, options);
+    }
+    
+    return fetch(url, {
+        ...options,
+        headers: { ...options.headers, 'X-Session-Token': sessionToken }
+    });
+}
+
+/**
+ * Query string parameter carrying the session token on links, if we have one
+ */
+function tokenQuery(separator) {
+    return sessionToken ? `${separator}token=${encodeURIComponent(sessionToken)}` : '';
+}
+
+function formatTime(ms) {
+    const seconds = Math.floor(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function showPlayerStatus(message, type) {
+    const status = document.getElementById('player-status');
+    status.textContent = message;
+    status.className = `status-message ${type}`;
+}
+
+// Recording list
+
+async function loadRecordingList() {
+    document.getElementById('recording-browser').style.display = '';
+    const list = document.getElementById('recording-list');
+    const note = document.getElementById('recording-list-note');
+    
+    try {
+        const response = await apiFetch('/api/recordings');
+        const data = await response.json();
+        
+        if (!response.ok) {
+            note.textContent = `Failed to load recordings: ${data.error}`;
+            return;
+        }
+        
+        list.innerHTML = '';
+        note.textContent = data.recordings.length === 0
+            ? 'No recordings. Start a session with "Record Display" enabled to record what its viewers see.'
+            : '';
+        
+        data.recordings.forEach((recording) => {
+            const item = document.createElement('li');
+            item.innerHTML = `
+                <div>
+                    <strong></strong>
+                    <span class="session-meta"></span>
+                </div>
+                <div class="recording-actions">
+                    <a class="session-open-btn" data-action="play">Play</a>
+                    <a class="session-open-btn" data-action="download">Download</a>
+                    <button class="session-open-btn" data-action="delete">Delete</button>
+                </div>
+            `;
+            const browser = recording.browser.charAt(0).toUpperCase() + recording.browser.slice(1);
+            item.querySelector('strong').textContent = `${browser} - ${recording.viewer}`;
+            item.querySelector('.session-meta').textContent = [
+                new Date(recording.startedAt).toLocaleString(),
+                recording.recording ? 'recording...' : null,
+                recording.durationSeconds !== null ? formatTime(recording.durationSeconds * 1000) : null,
+                formatBytes(recording.size),
+                recording.truncated ? 'size limit reached' : null
+            ].filter(Boolean).join(' · ');
+            
+            item.querySelector('[data-action="play"]').href = `playback.html?recording=${recording.id}${tokenQuery('&')}`;
+            item.querySelector('[data-action="download"]').href = `/api/recordings/${recording.id}?download=1${tokenQuery('&')}`;
+            
+            const deleteButton = item.querySelector('[data-action="delete"]');
+            deleteButton.disabled = recording.recording;
+            deleteButton.addEventListener('click', () => deleteRecording(recording.id));
+            
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading recordings:', error);
+        note.textContent = 'Failed to connect to server.';
+    }
+}
+
+async function deleteRecording(recordingId) {
+    if (!confirm('Delete this recording?')) return;
+    
+    try {
+        const response = await apiFetch(`/api/recordings/${recordingId}`, { method: 'DELETE' });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            alert(`Error: ${data.error}`);
+        }
+    } catch (error) {
+        console.error('Error deleting recording:', error);
+        alert('Failed to delete the recording.');
+    }
+    loadRecordingList();
+}
+
+// Player
+
+/**
+ * Minimal stand-in for the WebSocket noVNC normally reads from. Recorded
+ * frames are delivered through onmessage; everything noVNC sends is discarded.
+ */
+function createPlaybackChannel() {
+    return {
+        binaryType: 'arraybuffer',
+        protocol: '',
+        readyState: 'open',
+        onopen: null,
+        onmessage: null,
+        onclose: null,
+        onerror: null,
+        send() {},
+        close() {
+            this.readyState = 'closed';
+            if (this.onclose) {
+                this.onclose({ code: 1000, reason: '', wasClean: true });
+            }
+        }
+    };
+}
+
+function decodeFrame(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Start a fresh noVNC instance at the beginning of the recording. noVNC can't
+ * rewind, so seeking backwards replays the stream from here.
+ */
+async function resetPlayer() {
+    if (rfb) {
+        rfb.disconnect();
+    }
+    
+    channel = createPlaybackChannel();
+    // The recorded server asks for VNC authentication; any password will do
+    rfb = new RFB(document.getElementById('playback-screen'), channel, {
+        credentials: { password: 'playback' }
+    });
+    rfb.viewOnly = true;
+    rfb.scaleViewport = true;
+    nextFrame = 0;
+    position = 0;
+    
+    // noVNC attaches to the channel asynchronously
+    while (!channel.onmessage) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+/**
+ * Feed every frame recorded up to a point in time to noVNC
+ */
+function feedUntil(ms) {
+    while (nextFrame < frames.length && frames[nextFrame][0] <= ms) {
+        channel.onmessage({ data: decodeFrame(frames[nextFrame][1]).buffer });
+        nextFrame++;
+    }
+    position = ms;
+    updateTimeline();
+}
+
+function updateTimeline() {
+    document.getElementById('seek').value = position;
+    document.getElementById('playback-time').textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+}
+
+function tick() {
+    const now = performance.now();
+    feedUntil(Math.min(duration, position + (now - lastTick) * speed));
+    lastTick = now;
+    
+    if (position >= duration) {
+        pause();
+    }
+}
+
+async function play() {
+    if (position >= duration) {
+        await seek(0);
+    }
+    
+    playing = true;
+    lastTick = performance.now();
+    tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+    document.getElementById('play-btn').textContent = 'Pause';
+}
+
+function pause() {
+    playing = false;
+    clearInterval(tickTimer);
+    tickTimer = null;
+    document.getElementById('play-btn').textContent = 'Play';
+}
+
+async function seek(ms) {
+    const wasPlaying = playing;
+    pause();
+    
+    if (ms < position) {
+        await resetPlayer();
+    }
+    feedUntil(ms);
+    
+    if (wasPlaying) {
+        play();
+    }
+}
+
+async function loadRecording(recordingId) {
+    document.getElementById('player').style.display = '';
+    document.getElementById('player-download').href = `/api/recordings/${recordingId}?download=1${tokenQuery('&')}`;
+    document.getElementById('player-back').href = `playback.html${tokenQuery('?')}`;
+    showPlayerStatus('Loading recording...', 'info');
+    
+    try {
+        const response = await apiFetch(`/api/recordings/${recordingId}`);
+        if (!response.ok) {
+            const data = await response.json();
+            showPlayerStatus(`Cannot open this recording: ${data.error}`, 'error');
+            return;
+        }
+        
+        // Header line, frames, and an end record once the recording is finished
+        const lines = (await response.text()).split('\n').filter(Boolean).map(line => JSON.parse(line));
+        const header = lines[0];
+        const end = lines.length > 1 && !Array.isArray(lines[lines.length - 1]) ? lines.pop() : null;
+        frames = lines.slice(1);
+        duration = end ? end.end : (frames.length > 0 ? frames[frames.length - 1][0] : 0);
+        
+        const browser = header.browser.charAt(0).toUpperCase() + header.browser.slice(1);
+        document.getElementById('player-title').textContent =
+            `${browser} - ${header.viewer} - ${new Date(header.startedAt).toLocaleString()}`;
+        
+        const seekInput = document.getElementById('seek');
+        seekInput.max = duration;
+        seekInput.disabled = false;
+        document.getElementById('play-btn').disabled = false;
+        
+        if (!end) {
+            showPlayerStatus('This recording is still in progress; reload to see newer frames.', 'info');
+        } else if (end.truncated) {
+            showPlayerStatus('The recording reached its size limit and ends early.', 'info');
+        } else {
+            document.getElementById('player-status').className = 'status-message';
+        }
+        
+        await resetPlayer();
+        feedUntil(0);
+    } catch (error) {
+        console.error('Error loading recording:', error);
+        showPlayerStatus('Failed to load the recording.', 'error');
+    }
+}
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', () => {
+    initTheme();
+    
+    // playback.html lists recordings; playback.html?recording=<id> plays one.
+    // Both accept &token=<session token>.
+    const params = new URLSearchParams(window.location.search);
+    sessionToken = params.get('token');
+    const recordingId = params.get('recording');
+    
+    if (recordingId) {
+        loadRecording(recordingId);
+    } else {
+        loadRecordingList();
+    }
+    
+    document.getElementById('play-btn').addEventListener('click', () => (playing ? pause() : play()));
+    document.getElementById('seek').addEventListener('change', (event) => seek(Number(event.target.value)));
+    document.getElementById('speed').addEventListener('change', (event) => {
+        speed = Number(event.target.value);
+    });
+});
@@ -1,17 +1,23 @@
 const express = require('express');
 const cors = require('cors');
-const { spawn, execSync } = require('child_process');
+const { spawn, execSync, execFileSync } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const fs = require('fs');
 const https = require('https');
 const http = require('http');
 const zlib = require('zlib');
+const crypto = require('crypto');
 const net = require('net');
+const dns = require('dns').promises;
+const os = require('os');
+const { EventEmitter } = require('events');
+const { pipeline } = require('stream/promises');
 const WebSocket = require('ws');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const PACKAGE_VERSION = require('./package.json').version;
 
 // Create HTTP server for both Express and WebSocket
 const server = http.createServer(app);
@@ -19,6 +25,9 @@ const server = http.createServer(app);
 // WebSocket server for VNC proxy
 const wss = new WebSocket.Server({ noServer: true });
 
+// WebSocket server for console streaming
+const consoleWss = new WebSocket.Server({ noServer: true });
+
 // Map to store WebSocket-to-VNC connections
 const vncConnections = new Map();
 
@@ -54,715 +63,5561 @@ app.use(cors());
 app.use(express.json());
 app.use(rateLimiter);
 app.use(express.static('public'));
+// Terminal emulator for the serial console
+app.use('/vendor/xterm', express.static(path.join(__dirname, 'node_modules', '@xterm', 'xterm')));
+app.use('/vendor/addon-fit', express.static(path.join(__dirname, 'node_modules', '@xterm', 'addon-fit')));
 
 // Store active emulator instances
 const emulators = new Map();
 
-// Maximum output buffer size (in characters)
+// Maximum console log size kept per emulator (in characters)
 const MAX_BUFFER_SIZE = 50000;
 
+// Maximum size of a single serial console input message (in characters)
+const MAX_CONSOLE_INPUT_LENGTH = 4096;
+
 // Download timeout in milliseconds (5 minutes)
 const DOWNLOAD_TIMEOUT_MS = 300000;
 
+// Download attempts before giving up, with exponential backoff between them
+const DOWNLOAD_MAX_ATTEMPTS = 6;
+const DOWNLOAD_RETRY_BASE_DELAY_MS = 2000;
+const DOWNLOAD_RETRY_MAX_DELAY_MS = 60000;
+
+// How long finished provisioning jobs stay queryable (10 minutes)
+const PROVISIONING_JOB_TTL_MS = 600000;
+
+// Image provisioning jobs by job ID
+const provisioningJobs = new Map();
+
+// In-flight provisioning job for each image path, so concurrent sessions share one download
+const activeProvisioning = new Map();
+
 // Set of VNC displays currently in use
 const usedVncDisplays = new Set();
 
-// Browser configurations
-const browserConfigs = {
-    midori: {
-        name: 'Midori',
-        image: 'alpine-midori.img',
-        imageUrl: 'https://github.com/sriail/file-serving/releases/download/browser-packages/alpine-midori.img.gz',
-        description: 'Lightweight web browser'
-    },
-    waterfox: {
-        name: 'Waterfox',
-        image: 'waterfox-browser.img',
-        description: 'Privacy-focused Firefox fork'
-    },
-    brave: {
-        name: 'Brave',
-        image: 'brave-browser.img',
-        description: 'Privacy-focused browser with ad blocking'
-    }
+// Host ports claimed by guest port forwards
+const usedForwardPorts = new Set();
+
+// Set once a shutdown signal arrives; no new sessions or viewers are accepted
+let shuttingDown = false;
+
+// Time to wait for the guest to honour an ACPI power-down before signalling QEMU
+const POWERDOWN_TIMEOUT_MS = 15000;
+
+// Time to wait for QEMU to exit after SIGTERM before sending SIGKILL
+const KILL_TIMEOUT_MS = 5000;
+
+// Timeout for a single QMP command
+const QMP_COMMAND_TIMEOUT_MS = 10000;
+
+// Timeout for snapshot commands, which write or read the whole guest RAM
+const SNAPSHOT_TIMEOUT_MS = 300000;
+
+// Allowed characters for VM snapshot names
+const SNAPSHOT_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Width of screenshot thumbnails, and the largest width a screenshot can be scaled to
+const THUMBNAIL_WIDTH = 320;
+const MAX_SCREENSHOT_WIDTH = 4096;
+
+// IDs of the viewers registered for control handoff, see /api/emulators/:id/viewers
+const VIEWER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+// Viewer registrations without a VNC connection are dropped after this long,
+// which leaves a page's reconnect attempts time to use them again
+const VIEWER_REGISTRATION_TTL_MS = 60000;
+
+// QMP socket connection retries while QEMU is starting up
+const QMP_CONNECT_ATTEMPTS = 20;
+const QMP_CONNECT_DELAY_MS = 250;
+
+// Browser image catalog manifest (reloaded on change or SIGHUP)
+const CATALOG_PATH = process.env.BROWSER_CATALOG || path.join(__dirname, 'browsers.json');
+
+// Allowed characters for catalog browser IDs (also used as directory names)
+const CATALOG_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+// Hard limits for guest memory sizes (RAM in GB, VRAM in MB)
+const RAM_RANGE_GB = { min: 1, max: 64 };
+const VRAM_RANGE_MB = { min: 16, max: 1024 };
+
+// Guest network modes: no network card, user-mode NAT, or NAT restricted to
+// port forwards (the guest can't open connections to the host or the internet)
+const NETWORK_MODES = ['offline', 'nat', 'restricted'];
+const DEFAULT_NETWORK_MODE = process.env.DEFAULT_NETWORK_MODE || 'nat';
+if (!NETWORK_MODES.includes(DEFAULT_NETWORK_MODE)) {
+    throw new Error(`Invalid DEFAULT_NETWORK_MODE "${DEFAULT_NETWORK_MODE}": expected one of ${NETWORK_MODES.join(', ')}`);
+}
+
+// Default QEMU settings for catalog entries that don't specify their own.
+// ramOptions/vramOptions are the sizes users may pick for the image,
+// networkOptions the network modes.
+const DEFAULT_QEMU_SETTINGS = {
+    ram: '2',
+    vram: '200',
+    smp: 2,
+    imageFormat: 'raw',
+    network: DEFAULT_NETWORK_MODE,
+    ramOptions: ['1', '2', '4', '6', '8', '10', '12', 'unlimited'],
+    vramOptions: ['40', '80', '104', '200', '304', '400', '504', '600', '704', '800', '1024'],
+    networkOptions: NETWORK_MODES
 };
 
+// Browser configurations, keyed by browser ID
+let browserConfigs = loadCatalog(CATALOG_PATH);
+
+// Byte sizes
+const GIB = 1024 * 1024 * 1024;
+const MIB = 1024 * 1024;
+
 // Directory to store downloaded images
 const IMAGES_DIR = path.join(__dirname, 'qemu-images');
 
-// Ensure images directory exists
-if (!fs.existsSync(IMAGES_DIR)) {
-    fs.mkdirSync(IMAGES_DIR, { recursive: true });
-}
+// Directory for per-session runtime files (QMP sockets, temporary disk overlays)
+const RUNTIME_DIR = path.join(os.tmpdir(), 'browser-ig');
 
-/**
- * Find an available VNC display number (thread-safe)
- */
-function getAvailableVncDisplay() {
-    // Find the first available display from 0-99
-    for (let display = 0; display < 100; display++) {
-        if (!usedVncDisplays.has(display)) {
-            usedVncDisplays.add(display);
-            return display;
-        }
-    }
-    // If all displays are in use, throw an error
-    throw new Error('No available VNC displays');
-}
+// Directory for persistent session disks that survive emulator stops
+const SESSION_DISKS_DIR = path.join(__dirname, 'qemu-sessions');
 
-/**
- * Release a VNC display number when emulator stops
- */
-function releaseVncDisplay(display) {
-    usedVncDisplays.delete(display);
+// Directory for recordings of VNC sessions, see startRecording
+const RECORDINGS_DIR = path.join(__dirname, 'qemu-recordings');
+const RECORDING_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// Recordings stop growing at this size (the connection itself continues)
+const MAX_RECORDING_BYTES = (parseFloat(process.env.MAX_RECORDING_MB) || 500) * MIB;
+
+// Recordings being written, keyed by recording ID
+const activeRecordings = new Map();
+
+// Per-session folders shared with the guest over virtio-9p for file transfer,
+// which the guest mounts by this tag
+const SHARED_FOLDERS_DIR = path.join(RUNTIME_DIR, 'shared');
+const SHARED_FOLDER_MOUNT_TAG = 'browser-ig';
+// Allowed file and subfolder names in shared folders
+const SHARED_FILE_NAME_PATTERN = /^(?!\.\.?$)[^/\\\0]{1,255}$/;
+// Uploads are rejected once a shared folder (including files the guest wrote) reaches this size
+const MAX_SHARED_FOLDER_BYTES = (parseFloat(process.env.MAX_SHARED_FOLDER_MB) || 1024) * MIB;
+
+// Allowed characters for persistent session disk names
+const SESSION_DISK_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Session access tokens: sent as X-Session-Token header, ?token= query parameter
+// or the per-emulator cookie set by /api/start-emulator
+const SESSION_TOKEN_HEADER = 'x-session-token';
+const SESSION_TOKEN_COOKIE_PREFIX = 'emulator_token_';
+const SESSION_TOKEN_COOKIE_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+// Session disk keys: issued by /api/start-emulator when it creates a persistent
+// disk, sent as X-Disk-Key header or the per-disk cookie it sets
+const DISK_KEY_HEADER = 'x-disk-key';
+const DISK_KEY_COOKIE_PREFIX = 'disk_key_';
+const DISK_KEY_COOKIE_MAX_AGE_SECONDS = 365 * 24 * 60 * 60;
+
+// Admin key (X-Admin-Key header) that grants access to every session; disabled when unset
+const ADMIN_KEY = process.env.ADMIN_KEY || null;
+
+// Host resource limits for admission control, configurable through the environment
+const MAX_EMULATORS = parseInt(process.env.MAX_EMULATORS, 10) || 10;
+const MAX_EMULATORS_PER_CLIENT = parseInt(process.env.MAX_EMULATORS_PER_CLIENT, 10) || 2;
+// Share of host memory that emulators may commit (guest RAM + VRAM)
+const MEMORY_COMMIT_RATIO = parseFloat(process.env.MEMORY_COMMIT_RATIO) || 0.8;
+// Number of vCPUs that may be committed per host CPU
+const VCPU_COMMIT_RATIO = parseFloat(process.env.VCPU_COMMIT_RATIO) || 2;
+// "Unlimited" RAM gets this share of the free host memory, capped at UNLIMITED_RAM_MAX_GB
+const UNLIMITED_RAM_FREE_RATIO = parseFloat(process.env.UNLIMITED_RAM_FREE_RATIO) || 0.5;
+const UNLIMITED_RAM_MAX_GB = parseInt(process.env.UNLIMITED_RAM_MAX_GB, 10) || 16;
+
+// Session reaping: emulators without VNC viewers or console subscribers are
+// stopped after the idle timeout, and every session after its maximum lifetime
+// unless a viewer extends it during the warning period
+const MINUTE_MS = 60 * 1000;
+const SESSION_IDLE_TIMEOUT_MS = (parseFloat(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 10) * MINUTE_MS;
+const SESSION_MAX_LIFETIME_MS = (parseFloat(process.env.SESSION_MAX_LIFETIME_MINUTES) || 240) * MINUTE_MS;
+const SESSION_EXTENSION_MS = (parseFloat(process.env.SESSION_EXTENSION_MINUTES) || 30) * MINUTE_MS;
+const SESSION_WARNING_MS = (parseFloat(process.env.SESSION_WARNING_SECONDS) || 120) * 1000;
+// After a viewer closes the emulator page, the session is stopped if nobody
+// (re)connects within this grace period - long enough to survive a reload
+const SESSION_DETACH_GRACE_MS = (parseFloat(process.env.SESSION_DETACH_GRACE_SECONDS) || 60) * 1000;
+const SESSION_REAPER_INTERVAL_MS = 5000;
+
+// Interval between WebSocket pings; clients that miss a pong are dropped
+const WEBSOCKET_HEARTBEAT_INTERVAL_MS = 30000;
+
+// QEMU's VNC display N listens on TCP port 5900 + N. Sessions get a display
+// whose port in VNC_PORT_RANGE is free on the host, or with VNC_TRANSPORT=unix
+// a unix socket in RUNTIME_DIR so no TCP port is needed at all.
+const VNC_BASE_PORT = 5900;
+const VNC_PORT_RANGE = parsePortRange('VNC_PORT_RANGE', process.env.VNC_PORT_RANGE || '5900-5999', VNC_BASE_PORT);
+const VNC_TRANSPORT = process.env.VNC_TRANSPORT === 'unix' ? 'unix' : 'tcp';
+
+// Host ports that guest port forwards may listen on, and the address they bind to
+const PORT_FORWARD_RANGE = parsePortRange('PORT_FORWARD_RANGE', process.env.PORT_FORWARD_RANGE || '10000-10999', 1024);
+const PORT_FORWARD_BIND_ADDRESS = process.env.PORT_FORWARD_BIND_ADDRESS || '127.0.0.1';
+const MAX_PORT_FORWARDS = 8;
+
+// Sessions started with the traffic proxy reach it at this guest address;
+// QEMU forwards connections to the proxy's host port through netcat
+const PROXY_GUEST_ADDRESS = '10.0.2.100';
+const PROXY_GUEST_PORT = 3128;
+const MAX_PROXY_DOMAINS = 100;
+const PROXY_DOMAIN_PATTERN = /^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i;
+// Requests kept in each session's traffic log, oldest dropped first
+const MAX_TRAFFIC_ENTRIES = 2000;
+const PROXY_IDLE_TIMEOUT_MS = 120000;
+// Destinations the proxy never connects to besides the host's own addresses:
+// loopback, unspecified, IPv4-compatible IPv6 and link-local (which includes
+// cloud metadata endpoints like 169.254.169.254)
+const PROXY_BLOCKED_ADDRESSES = new net.BlockList();
+PROXY_BLOCKED_ADDRESSES.addSubnet('0.0.0.0', 8, 'ipv4');
+PROXY_BLOCKED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+PROXY_BLOCKED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+PROXY_BLOCKED_ADDRESSES.addSubnet('::', 96, 'ipv6');
+PROXY_BLOCKED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+// Hop-by-hop headers apply to one connection and are not forwarded
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade'];
+
+// Registry of running QEMU sessions, re-adopted when the server restarts
+const STATE_FILE = process.env.EMULATOR_STATE_FILE || path.join(RUNTIME_DIR, 'emulators.json');
+
+// Interval for checking whether a re-adopted QEMU process is still alive
+const ADOPTED_PROCESS_POLL_MS = 2000;
+
+// Ensure images, runtime, shared folder, session disk and recording directories exist
+for (const dir of [IMAGES_DIR, RUNTIME_DIR, SHARED_FOLDERS_DIR, SESSION_DISKS_DIR, RECORDINGS_DIR]) {
+    if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
 }
 
 /**
- * Download and extract a gzipped image file
+ * Load and validate the browser image catalog manifest
  */
-async function downloadAndExtractImage(url, targetPath) {
-    return new Promise((resolve, reject) => {
-        console.log(`Downloading image from: ${url}`);
+function loadCatalog(catalogPath) {
+    const manifest = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    
+    if (!manifest || typeof manifest.browsers !== 'object') {
+        throw new Error(`${catalogPath}: missing "browsers" object`);
+    }
+    
+    // Browser IDs come from requests, so inherited keys like "constructor" must not resolve
+    const catalog = Object.create(null);
+    
+    for (const [id, entry] of Object.entries(manifest.browsers)) {
+        if (!CATALOG_ID_PATTERN.test(id)) {
+            throw new Error(`${catalogPath}: invalid browser ID "${id}"`);
+        }
         
-        const gzPath = targetPath + '.gz';
+        if (!entry.name || !entry.image) {
+            throw new Error(`${catalogPath}: browser "${id}" needs a name and an image`);
+        }
         
-        const cleanup = () => {
-            // Clean up temp gz file if exists
-            if (fs.existsSync(gzPath)) {
-                try {
-                    fs.unlinkSync(gzPath);
-                } catch (err) {
-                    console.error(`Failed to clean up temp file ${gzPath}:`, err.message);
-                }
-            }
-            // Clean up target file if exists and incomplete
-            if (fs.existsSync(targetPath)) {
-                try {
-                    fs.unlinkSync(targetPath);
-                } catch (err) {
-                    console.error(`Failed to clean up file ${targetPath}:`, err.message);
-                }
-            }
-        };
+        // Image names become file names inside IMAGES_DIR
+        if (path.basename(entry.image) !== entry.image) {
+            throw new Error(`${catalogPath}: image for "${id}" must be a plain file name`);
+        }
         
-        /**
-         * Download file from URL following redirects
-         */
-        const downloadFile = (downloadUrl, destPath, callback) => {
-            const file = fs.createWriteStream(destPath);
-            
-            file.on('error', (err) => {
-                file.close();
-                callback(err);
-            });
-            
-            const request = https.get(downloadUrl, (response) => {
-                // Follow redirects (GitHub releases use 302)
-                if (response.statusCode === 301 || response.statusCode === 302) {
-                    const redirectUrl = response.headers.location;
-                    if (!redirectUrl) {
-                        file.close();
-                        callback(new Error('Redirect response missing location header'));
-                        return;
-                    }
-                    
-                    // Validate redirect URL
-                    try {
-                        const parsed = new URL(redirectUrl);
-                        if (parsed.protocol !== 'https:') {
-                            file.close();
-                            callback(new Error('Redirect URL must use HTTPS protocol'));
-                            return;
-                        }
-                    } catch (parseErr) {
-                        file.close();
-                        callback(new Error(`Invalid redirect URL: ${redirectUrl}`));
-                        return;
-                    }
-                    
-                    file.close();
-                    // Follow redirect
-                    downloadFile(redirectUrl, destPath, callback);
-                    return;
-                }
-                
-                if (response.statusCode !== 200) {
-                    file.close();
-                    callback(new Error(`Failed to download: HTTP ${response.statusCode}`));
-                    return;
-                }
-                
-                response.pipe(file);
-                
-                file.on('finish', () => {
-                    file.close();
-                    callback(null);
-                });
-                
-                response.on('error', (err) => {
-                    file.close();
-                    callback(err);
-                });
-            });
-            
-            request.on('error', (err) => {
-                file.close();
-                callback(err);
-            });
-            
-            request.setTimeout(DOWNLOAD_TIMEOUT_MS, () => {
-                request.destroy();
-                file.close();
-                callback(new Error('Download timeout'));
-            });
-        };
+        if (entry.imageUrl && !entry.imageUrl.startsWith('https://')) {
+            throw new Error(`${catalogPath}: image URL for "${id}" must use HTTPS`);
+        }
         
-        // Step 1: Download the gzipped file
-        console.log(`Downloading gzipped file to: ${gzPath}`);
-        downloadFile(url, gzPath, (downloadErr) => {
-            if (downloadErr) {
-                cleanup();
-                reject(new Error(`Download failed: ${downloadErr.message}`));
-                return;
+        if (entry.sha256 && !/^[a-f0-9]{64}$/i.test(entry.sha256)) {
+            throw new Error(`${catalogPath}: invalid sha256 for "${id}"`);
+        }
+        
+        const qemu = { ...DEFAULT_QEMU_SETTINGS, ...entry.qemu };
+        for (const [key, range, unit, allowUnlimited] of [['ram', RAM_RANGE_GB, 'GB', true], ['vram', VRAM_RANGE_MB, 'MB', false]]) {
+            const options = qemu[`${key}Options`];
+            if (!Array.isArray(options) || options.length === 0) {
+                throw new Error(`${catalogPath}: ${key}Options for "${id}" must be a non-empty array`);
             }
             
-            console.log(`Download complete, extracting to: ${targetPath}`);
-            
-            // Step 2: Extract the gzipped file
-            const readStream = fs.createReadStream(gzPath);
-            const writeStream = fs.createWriteStream(targetPath);
-            const gunzip = zlib.createGunzip();
-            
-            readStream.on('error', (err) => {
-                cleanup();
-                reject(new Error(`Read error: ${err.message}`));
-            });
-            
-            gunzip.on('error', (err) => {
-                cleanup();
-                reject(new Error(`Decompression error: ${err.message}`));
-            });
-            
-            writeStream.on('error', (err) => {
-                cleanup();
-                reject(new Error(`Write error: ${err.message}`));
-            });
+            qemu[`${key}Options`] = options.map(String);
+            qemu[key] = String(qemu[key]);
             
-            writeStream.on('finish', () => {
-                // Clean up temp gz file
-                if (fs.existsSync(gzPath)) {
-                    fs.unlinkSync(gzPath);
+            for (const option of qemu[`${key}Options`]) {
+                const error = checkSize(option, range, unit, allowUnlimited);
+                if (error) {
+                    throw new Error(`${catalogPath}: ${key} option "${option}" for "${id}" ${error.message}`);
                 }
-                console.log(`Image downloaded and extracted to: ${targetPath}`);
-                resolve(targetPath);
-            });
+            }
             
-            readStream.pipe(gunzip).pipe(writeStream);
-        });
-    });
+            if (!qemu[`${key}Options`].includes(qemu[key])) {
+                throw new Error(`${catalogPath}: default ${key} for "${id}" is not one of its ${key}Options`);
+            }
+        }
+        
+        if (!Array.isArray(qemu.networkOptions) || qemu.networkOptions.length === 0 ||
+            qemu.networkOptions.some(mode => !NETWORK_MODES.includes(mode))) {
+            throw new Error(`${catalogPath}: networkOptions for "${id}" must be a non-empty array of ${NETWORK_MODES.join(', ')}`);
+        }
+        
+        if (!qemu.networkOptions.includes(qemu.network)) {
+            throw new Error(`${catalogPath}: default network for "${id}" is not one of its networkOptions`);
+        }
+        
+        if (!Number.isInteger(qemu.smp) || qemu.smp < 1) {
+            throw new Error(`${catalogPath}: smp for "${id}" must be a positive integer`);
+        }
+        
+        catalog[id] = {
+            id,
+            name: entry.name,
+            description: entry.description || '',
+            icon: entry.icon || null,
+            image: entry.image,
+            imageUrl: entry.imageUrl || null,
+            sha256: entry.sha256 ? entry.sha256.toLowerCase() : null,
+            size: entry.size || null,
+            version: entry.version || null,
+            qemu
+        };
+    }
+    
+    return catalog;
 }
 
 /**
- * Get or download the browser image
+ * Check a RAM or VRAM size string against its numeric range.
+ * Returns null if valid, otherwise { code, message }.
  */
-async function ensureImageAvailable(browserConfig) {
-    const imagePath = path.join(IMAGES_DIR, browserConfig.image);
+function checkSize(value, range, unit, allowUnlimited) {
+    if (allowUnlimited && value === 'unlimited') {
+        return null;
+    }
     
-    // Check if image already exists
-    if (fs.existsSync(imagePath)) {
-        console.log(`Image already exists at: ${imagePath}`);
-        return imagePath;
+    if (!/^\d+$/.test(value)) {
+        return { code: 'invalid_format', message: `must be a whole number of ${unit}${allowUnlimited ? ' or "unlimited"' : ''}` };
     }
     
-    // If no URL is configured, return null (image not available)
-    if (!browserConfig.imageUrl) {
-        console.log(`No image URL configured for ${browserConfig.name}`);
-        return null;
+    const size = Number(value);
+    if (size < range.min || size > range.max) {
+        return { code: 'out_of_range', message: `must be between ${range.min} and ${range.max} ${unit}` };
     }
     
-    // Download and extract the image
+    return null;
+}
+
+/**
+ * Reload the catalog, keeping the current one if the manifest is invalid
+ */
+function reloadCatalog() {
     try {
-        await downloadAndExtractImage(browserConfig.imageUrl, imagePath);
-        return imagePath;
+        browserConfigs = loadCatalog(CATALOG_PATH);
+        console.log(`Browser catalog reloaded: ${Object.keys(browserConfigs).join(', ')}`);
     } catch (error) {
-        console.error(`Failed to download image: ${error.message}`);
-        return null;
+        console.error(`Failed to reload browser catalog, keeping previous version: ${error.message}`);
     }
 }
 
+// Reload the catalog when the manifest is edited (debounced, editors write in bursts).
+// The directory is watched because editors that save by renaming a new file
+// over the manifest replace the inode a watch on the file itself would follow.
+let catalogReloadTimer = null;
+fs.watch(path.dirname(CATALOG_PATH), (eventType, filename) => {
+    // filename isn't provided on every platform
+    if (filename && filename !== path.basename(CATALOG_PATH)) {
+        return;
+    }
+    clearTimeout(catalogReloadTimer);
+    catalogReloadTimer = setTimeout(reloadCatalog, 200);
+});
+
+process.on('SIGHUP', reloadCatalog);
+
 /**
- * Convert RAM configuration to QEMU memory parameter
+ * Get the local path of a catalog image. Versioned images get their own file so
+ * overlays and persistent disks keep the exact base image they were created from.
  */
-function getRamParameter(ram) {
-    if (ram === 'unlimited') {
-        // Set a high but reasonable limit (16GB)
-        return '16G';
+function getImagePath(browserConfig) {
+    if (!browserConfig.version) {
+        return path.join(IMAGES_DIR, browserConfig.image);
     }
-    return `${ram}G`;
+    
+    const ext = path.extname(browserConfig.image);
+    const base = path.basename(browserConfig.image, ext);
+    return path.join(IMAGES_DIR, `${base}-${browserConfig.version}${ext}`);
 }
 
 /**
- * Convert VRAM configuration to QEMU VGA memory parameter
+ * Parse a "min-max" port range from the environment, starting no lower than lowest
  */
-function getVramParameter(vram) {
-    // VRAM is specified in MB for QEMU
-    return vram;
+function parsePortRange(name, value, lowest) {
+    const match = /^(\d+)-(\d+)$/.exec(value.trim());
+    const min = match ? parseInt(match[1], 10) : NaN;
+    const max = match ? parseInt(match[2], 10) : NaN;
+    
+    if (!(min >= lowest && max <= 65535 && min <= max)) {
+        throw new Error(`Invalid ${name} "${value}": expected "min-max" between ${lowest} and 65535`);
+    }
+    return { min, max };
 }
 
 /**
- * Start a QEMU emulator instance
+ * Check whether a TCP port on the loopback interface is free by binding it
  */
-async function startQemuEmulator(config) {
-    const emulatorId = uuidv4();
-    const ramParam = getRamParameter(config.ram);
-    const vramParam = getVramParameter(config.vram);
-    const browserConfig = browserConfigs[config.browser];
-    
-    // Get VNC display number
-    const vncDisplay = getAvailableVncDisplay();
-    const vncPort = 5900 + vncDisplay;
-    const websocketPort = 6080 + vncDisplay;
-    
-    // Ensure image is available (download if needed)
-    let imagePath = null;
-    try {
-        imagePath = await ensureImageAvailable(browserConfig);
-    } catch (error) {
-        console.error('Error ensuring image availability:', error);
-        // Continue without image (simulation mode)
+function isPortAvailable(port) {
+    return new Promise((resolve) => {
+        const probe = net.createServer();
+        probe.once('error', () => resolve(false));
+        probe.listen(port, '127.0.0.1', () => {
+            probe.close(() => resolve(true));
+        });
+    });
+}
+
+/**
+ * Reserve a VNC display whose port is free on the host, skipping ports taken
+ * by other programs (e.g. a desktop VNC server on 5900). Resolves with the
+ * display number, or null if every port in VNC_PORT_RANGE is in use.
+ */
+async function allocateVncDisplay() {
+    for (let port = VNC_PORT_RANGE.min; port <= VNC_PORT_RANGE.max; port++) {
+        const display = port - VNC_BASE_PORT;
+        if (usedVncDisplays.has(display)) {
+            continue;
+        }
+        
+        // Reserve before probing so concurrent starts can't pick the same display
+        usedVncDisplays.add(display);
+        if (await isPortAvailable(port)) {
+            return display;
+        }
+        usedVncDisplays.delete(display);
     }
-    
-    // Build QEMU command arguments with VNC display
-    const qemuArgs = [
-        '-m', ramParam,                          // RAM allocation
-        '-vga', 'std',                           // Standard VGA
-        '-device', `VGA,vgamem_mb=${vramParam}`, // VRAM allocation
-        '-smp', '2',                             // 2 CPU cores
-        '-vnc', `:${vncDisplay}`,                // VNC display
-        '-serial', 'stdio'                       // Serial output to stdio
-    ];
-    
-    // Only add KVM if available (check if /dev/kvm exists)
-    if (fs.existsSync('/dev/kvm')) {
-        qemuArgs.push('-enable-kvm', '-cpu', 'host');
-    } else {
-        // Use software emulation
-        qemuArgs.push('-cpu', 'qemu64');
+    return null;
+}
+
+/**
+ * Release a VNC display number when emulator stops
+ */
+function releaseVncDisplay(display) {
+    usedVncDisplays.delete(display);
+}
+
+/**
+ * Release an emulator's VNC display and remove its VNC unix socket
+ */
+function releaseVnc(emulator) {
+    if (emulator.vncDisplay !== undefined) {
+        releaseVncDisplay(emulator.vncDisplay);
     }
-    
-    // Add disk image if available
-    if (imagePath) {
-        qemuArgs.push('-hda', imagePath);
-        console.log(`Using disk image: ${imagePath}`);
+    if (emulator.vncSocketPath) {
+        removeFileIfExists(emulator.vncSocketPath);
     }
+}
+
+/**
+ * Claim the host ports of a session's port forwards, checking that no other
+ * session or program uses them. Returns an error message, or null once all
+ * are reserved.
+ */
+async function reservePortForwards(portForwards) {
+    const reserved = [];
     
-    let outputBuffer = '';
-    let qemuProcess = null;
-    
-    // Initial output
-    outputBuffer = generateStartupMessage(config, browserConfig, imagePath, vncPort, websocketPort);
-    
-    // Store emulator instance first
-    const emulatorData = {
-        id: emulatorId,
-        process: null,
-        config,
-        browserConfig,
-        outputBuffer,
-        lastReadPosition: 0,
-        running: true,
-        startTime: new Date(),
-        vncDisplay,
-        vncPort,
-        websocketPort,
-        imagePath
-    };
-    emulators.set(emulatorId, emulatorData);
-    
-    // Check if QEMU is available and start accordingly
-    try {
-        const qemuPath = findQemu();
-        
-        if (qemuPath && imagePath) {
-            // QEMU is available and we have an image
-            console.log(`Starting QEMU with VNC on port ${vncPort}`);
-            console.log(`QEMU command: ${qemuPath} ${qemuArgs.join(' ')}`);
-            
-            qemuProcess = spawn(qemuPath, qemuArgs, {
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-            
-            setupProcessHandlers(qemuProcess, emulatorId, config);
-            emulatorData.process = qemuProcess;
-            
-            // Add VNC connection info to output
-            setTimeout(() => {
-                const emulator = emulators.get(emulatorId);
-                if (emulator) {
-                    emulator.outputBuffer += `\nVNC Server started on port ${vncPort}\n`;
-                    emulator.outputBuffer += `Websocket proxy available on port ${websocketPort}\n`;
-                }
-            }, 500);
+    for (const { hostPort } of portForwards) {
+        // Reserve before probing so concurrent starts can't claim the same port
+        let error = null;
+        if (usedForwardPorts.has(hostPort)) {
+            error = `Host port ${hostPort} is already forwarded to another session`;
         } else {
-            // QEMU not available or no image, run in simulation mode
-            console.log('QEMU not found or no image available, running in simulation mode');
-            qemuProcess = simulateQemu(config, vncPort, websocketPort);
-            setupProcessHandlers(qemuProcess, emulatorId, config);
-            emulatorData.process = qemuProcess;
+            usedForwardPorts.add(hostPort);
+            reserved.push(hostPort);
+            if (!await isPortAvailable(hostPort)) {
+                error = `Host port ${hostPort} is in use`;
+            }
+        }
+        
+        if (error) {
+            reserved.forEach(port => usedForwardPorts.delete(port));
+            return error;
         }
-    } catch (error) {
-        console.error('Error starting QEMU:', error);
-        emulatorData.outputBuffer += `\nError: ${error.message}\n`;
-        emulatorData.running = false;
     }
     
-    return {
-        emulatorId,
-        output: outputBuffer,
-        vncPort,
-        websocketPort,
-        hasImage: !!imagePath
-    };
+    return null;
 }
 
 /**
- * Find QEMU executable
+ * Release the host ports of an emulator's port forwards
  */
-function findQemu() {
-    try {
-        const result = execSync('which qemu-system-x86_64 2>/dev/null', { encoding: 'utf8' });
-        return result.trim();
-    } catch {
-        return null;
+function releasePortForwards(emulator) {
+    for (const { hostPort } of emulator.config.portForwards || []) {
+        usedForwardPorts.delete(hostPort);
     }
 }
 
 /**
- * Simulate QEMU for demo purposes when QEMU is not installed
+ * QEMU arguments for a session's network mode: no NIC when offline, otherwise
+ * a user-mode NAT NIC with the session's host port forwards. With a traffic
+ * proxy the NIC is restricted so the proxy is the guest's only way out.
  */
-function simulateQemu(config, vncPort, websocketPort) {
-    const { EventEmitter } = require('events');
-    const stdoutEmitter = new EventEmitter();
-    const stderrEmitter = new EventEmitter();
-    const processEmitter = new EventEmitter();
+function getNetworkArgs(config, trafficProxy) {
+    if (config.network === 'offline') {
+        return ['-nic', 'none'];
+    }
     
-    // Simulate process interface
-    const simulatedProcess = {
-        stdout: stdoutEmitter,
-        stderr: stderrEmitter,
-        pid: Math.floor(Math.random() * 90000) + 10000,
-        kill: () => {
-            processEmitter.emit('close', 0);
+    const options = ['user'];
+    if (config.network === 'restricted' || trafficProxy) {
+        options.push('restrict=on');
+    }
+    if (trafficProxy) {
+        options.push(`guestfwd=tcp:${PROXY_GUEST_ADDRESS}:${PROXY_GUEST_PORT}-cmd:nc 127.0.0.1 ${trafficProxy.port}`);
+    }
+    for (const { hostPort, guestPort } of config.portForwards || []) {
+        options.push(`hostfwd=tcp:${PORT_FORWARD_BIND_ADDRESS}:${hostPort}-:${guestPort}`);
+    }
+    
+    return ['-nic', options.join(',')];
+}
+
+/**
+ * Describe a session's network mode and port forwards, for console messages
+ */
+function describeNetwork(config) {
+    const mode = { offline: 'Offline', nat: 'NAT', restricted: 'Restricted (port forwards only)' }[config.network];
+    const forwards = (config.portForwards || [])
+        .map(({ hostPort, guestPort }) => `${PORT_FORWARD_BIND_ADDRESS}:${hostPort} -> ${guestPort}`);
+    
+    const proxy = config.proxy ? `, traffic proxy at ${PROXY_GUEST_ADDRESS}:${PROXY_GUEST_PORT}` : '';
+    
+    return forwards.length > 0 ? `${mode}${proxy}, forwarding ${forwards.join(', ')}` : `${mode}${proxy}`;
+}
+
+/**
+ * Start a session's traffic proxy: an HTTP forward proxy on a free loopback
+ * port (or the given one when re-adopting a session) that applies the
+ * session's domain policy and logs every request it handles
+ */
+async function startTrafficProxy(policy, port = 0) {
+    const proxy = {
+        server: http.createServer(),
+        port: null,
+        policy,
+        entries: [],
+        nextId: 1,
+        // Emits 'entry' when a request starts, gets its response and finishes
+        events: new EventEmitter(),
+        sockets: new Set()
+    };
+    proxy.events.setMaxListeners(0);
+    
+    proxy.server.on('connection', (socket) => {
+        proxy.sockets.add(socket);
+        socket.on('close', () => proxy.sockets.delete(socket));
+    });
+    // The guest controls everything these handlers see, so no error may escape them
+    proxy.server.on('request', (req, res) => proxyHttpRequest(proxy, req, res).catch((error) => {
+        console.error(`Traffic proxy request to ${req.url} failed:`, error);
+        res.destroy();
+    }));
+    proxy.server.on('connect', (req, socket, head) => proxyConnect(proxy, req, socket, head).catch((error) => {
+        console.error(`Traffic proxy tunnel to ${req.url} failed:`, error);
+        socket.destroy();
+    }));
+    
+    await new Promise((resolve, reject) => {
+        proxy.server.once('error', reject);
+        proxy.server.listen(port, '127.0.0.1', resolve);
+    });
+    proxy.port = proxy.server.address().port;
+    
+    return proxy;
+}
+
+/**
+ * Close an emulator's traffic proxy and its open connections. The traffic log
+ * is kept so it can still be exported until the session is removed.
+ */
+function releaseTrafficProxy(emulator) {
+    const proxy = emulator.trafficProxy;
+    if (!proxy || !proxy.server.listening) {
+        return;
+    }
+    
+    proxy.server.close();
+    proxy.sockets.forEach(socket => socket.destroy());
+}
+
+/**
+ * Check a host name against a traffic policy. Domains match themselves and
+ * their subdomains; denied domains win over allowed ones, and an empty allow
+ * list allows every domain that isn't denied.
+ */
+function isHostAllowed(policy, host) {
+    const name = host.toLowerCase().replace(/\.$/, '');
+    const matches = domain => name === domain || name.endsWith(`.${domain}`);
+    
+    if (policy.denyDomains.some(matches)) {
+        return false;
+    }
+    return policy.allowDomains.length === 0 || policy.allowDomains.some(matches);
+}
+
+/**
+ * Normalize an IP address for classification, unmapping IPv4-mapped IPv6
+ * addresses (::ffff:127.0.0.1, ::ffff:7f00:1) to plain IPv4.
+ * Returns { address, family } with a BlockList family.
+ */
+function normalizeIpAddress(address) {
+    if (net.isIP(address) !== 6) {
+        return { address, family: 'ipv4' };
+    }
+    
+    const normalized = new net.SocketAddress({ address, family: 'ipv6' }).address;
+    const mapped = normalized.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    return mapped ? { address: mapped[1], family: 'ipv4' } : { address: normalized, family: 'ipv6' };
+}
+
+/**
+ * Resolve the destination of a proxied request. The proxy runs on the host, so
+ * the host's own addresses are refused: the guest must not reach this server,
+ * other sessions' VNC ports or other local services through it. The resolved
+ * address is checked, so names pointing at the host are refused too.
+ */
+async function resolveProxyTarget(host) {
+    const { address } = await dns.lookup(host.replace(/^\[|\]$/g, ''));
+    const target = normalizeIpAddress(address);
+    
+    const hostAddresses = new net.BlockList();
+    for (const iface of Object.values(os.networkInterfaces()).flat()) {
+        const own = normalizeIpAddress(iface.address);
+        hostAddresses.addAddress(own.address, own.family);
+    }
+    
+    if (PROXY_BLOCKED_ADDRESSES.check(target.address, target.family) || hostAddresses.check(target.address, target.family)) {
+        throw new Error(`Connections to local address ${address} are not allowed`);
+    }
+    
+    return target.address;
+}
+
+/**
+ * Copy a message's headers without the hop-by-hop ones, including any the
+ * Connection header names
+ */
+function stripHopByHopHeaders(headers) {
+    const connectionHeaders = (headers.connection || '').split(',').map(name => name.trim().toLowerCase());
+    const result = { ...headers };
+    
+    for (const name of [...HOP_BY_HOP_HEADERS, ...connectionHeaders]) {
+        delete result[name];
+    }
+    
+    return result;
+}
+
+/**
+ * Convert raw headers to the { name, value } pairs HAR files use
+ */
+function pairHeaders(rawHeaders) {
+    const pairs = [];
+    for (let i = 0; i < rawHeaders.length; i += 2) {
+        pairs.push({ name: rawHeaders[i], value: rawHeaders[i + 1] });
+    }
+    return pairs;
+}
+
+/**
+ * Add a request to a traffic log, dropping the oldest entries over MAX_TRAFFIC_ENTRIES
+ */
+function startTrafficEntry(proxy, fields) {
+    const entry = {
+        id: proxy.nextId++,
+        startedAt: new Date(),
+        httpVersion: 'HTTP/1.1',
+        status: null,
+        statusText: '',
+        blocked: false,
+        error: null,
+        requestHeaders: [],
+        responseHeaders: [],
+        requestBytes: 0,
+        responseBytes: 0,
+        mimeType: null,
+        duration: null,
+        done: false,
+        ...fields
+    };
+    
+    proxy.entries.push(entry);
+    if (proxy.entries.length > MAX_TRAFFIC_ENTRIES) {
+        proxy.entries.shift();
+    }
+    proxy.events.emit('entry', entry);
+    
+    return entry;
+}
+
+/**
+ * Update a traffic log entry, marking it finished unless more is expected
+ */
+function updateTrafficEntry(proxy, entry, fields, done = true) {
+    if (entry.done) {
+        return;
+    }
+    
+    Object.assign(entry, fields);
+    if (done) {
+        entry.done = true;
+        entry.duration = Date.now() - entry.startedAt;
+    }
+    proxy.events.emit('entry', entry);
+}
+
+/**
+ * Forward a plain HTTP request from the guest, sent to the proxy in absolute
+ * form ("GET http://host/path")
+ */
+async function proxyHttpRequest(proxy, req, res) {
+    let target = null;
+    try {
+        target = new URL(req.url);
+    } catch {
+        // Not a proxy request
+    }
+    
+    if (!target || target.protocol !== 'http:') {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        res.end('This is an HTTP proxy: only absolute http:// URLs and CONNECT are supported\n');
+        return;
+    }
+    
+    const entry = startTrafficEntry(proxy, {
+        method: req.method,
+        url: target.href,
+        httpVersion: `HTTP/${req.httpVersion}`,
+        requestHeaders: pairHeaders(req.rawHeaders)
+    });
+    
+    // Report an error to the guest, or cut the response short if it has started
+    const fail = (status, message, fields) => {
+        if (entry.done) {
+            return;
+        }
+        if (res.headersSent) {
+            res.destroy();
+            updateTrafficEntry(proxy, entry, { error: fields.error });
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'text/plain' });
+        res.end(`${message}\n`);
+        updateTrafficEntry(proxy, entry, { status, ...fields });
+    };
+    
+    if (!isHostAllowed(proxy.policy, target.hostname)) {
+        fail(403, `Blocked by the session's traffic policy: ${target.hostname}`, { statusText: 'Forbidden', blocked: true });
+        return;
+    }
+    
+    let address;
+    try {
+        address = await resolveProxyTarget(target.hostname);
+    } catch (error) {
+        fail(502, `Proxy error: ${error.message}`, { statusText: 'Bad Gateway', error: error.message });
+        return;
+    }
+    
+    // The policy was checked against the request target, so the guest's own
+    // Host header must not pick another site on the same server (RFC 7230 5.4)
+    const headers = stripHopByHopHeaders(req.headers);
+    headers.host = target.host;
+    
+    const upstream = http.request({
+        host: address,
+        port: target.port || 80,
+        method: req.method,
+        path: `${target.pathname}${target.search}`,
+        headers,
+        setHost: false,
+        timeout: PROXY_IDLE_TIMEOUT_MS
+    }, (upstreamRes) => {
+        // Node's HTTP client accepts statuses and headers that its server side refuses to send
+        try {
+            if (upstreamRes.statusCode < 100 || upstreamRes.statusCode > 999) {
+                throw new Error(`Invalid status code ${upstreamRes.statusCode} from the upstream server`);
+            }
+            res.writeHead(upstreamRes.statusCode, upstreamRes.statusMessage, stripHopByHopHeaders(upstreamRes.headers));
+        } catch (error) {
+            upstreamRes.destroy();
+            res.getHeaderNames().forEach(name => res.removeHeader(name));
+            fail(502, `Proxy error: ${error.message}`, { statusText: 'Bad Gateway', error: error.message });
+            return;
+        }
+        updateTrafficEntry(proxy, entry, {
+            status: upstreamRes.statusCode,
+            statusText: upstreamRes.statusMessage,
+            httpVersion: `HTTP/${upstreamRes.httpVersion}`,
+            responseHeaders: pairHeaders(upstreamRes.rawHeaders),
+            mimeType: upstreamRes.headers['content-type'] || null
+        }, false);
+        
+        upstreamRes.on('data', (chunk) => {
+            entry.responseBytes += chunk.length;
+        });
+        upstreamRes.on('end', () => updateTrafficEntry(proxy, entry, {}));
+        upstreamRes.on('error', error => fail(502, `Proxy error: ${error.message}`, { error: error.message }));
+        upstreamRes.pipe(res);
+    });
+    
+    upstream.on('timeout', () => upstream.destroy(new Error('Upstream server timed out')));
+    upstream.on('error', error => fail(502, `Proxy error: ${error.message}`, { statusText: 'Bad Gateway', error: error.message }));
+    
+    // The guest gave up before the response was complete
+    res.on('close', () => {
+        if (!entry.done) {
+            upstream.destroy();
+            updateTrafficEntry(proxy, entry, { error: 'Connection closed by the guest' });
+        }
+    });
+    
+    req.on('data', (chunk) => {
+        entry.requestBytes += chunk.length;
+    });
+    req.pipe(upstream);
+}
+
+/**
+ * Parse the "host:port" target of a CONNECT request, normalising the host the
+ * way URLs do. Returns { host, port, url }, or null if it isn't a valid target.
+ */
+function parseConnectTarget(authority) {
+    let url;
+    try {
+        url = new URL(`https://${authority}/`);
+    } catch {
+        return null;
+    }
+    
+    // Anything besides host and port would have ended up in another part of the URL
+    if (!/:\d{1,5}$/.test(authority) || url.username || url.password || url.pathname !== '/' || url.search || url.hash) {
+        return null;
+    }
+    
+    const port = Number(url.port || 443);
+    return port >= 1 ? { host: url.hostname, port, url: url.href } : null;
+}
+
+/**
+ * Tunnel a CONNECT request (HTTPS and other TLS traffic) from the guest. The
+ * tunnel is encrypted end to end, so only the host, byte counts and timing are logged.
+ */
+async function proxyConnect(proxy, req, clientSocket, head) {
+    const target = parseConnectTarget(req.url);
+    clientSocket.on('error', () => {});
+    
+    if (!target) {
+        clientSocket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    
+    const { host, port } = target;
+    const entry = startTrafficEntry(proxy, {
+        method: 'CONNECT',
+        url: target.url,
+        httpVersion: `HTTP/${req.httpVersion}`,
+        requestHeaders: pairHeaders(req.rawHeaders)
+    });
+    
+    const fail = (status, statusText, fields) => {
+        clientSocket.end(`HTTP/1.1 ${status} ${statusText}\r\nContent-Type: text/plain\r\n\r\n${fields.error || 'Blocked by the session\'s traffic policy'}\n`);
+        updateTrafficEntry(proxy, entry, { status, statusText, ...fields });
+    };
+    
+    if (!isHostAllowed(proxy.policy, host)) {
+        fail(403, 'Forbidden', { blocked: true });
+        return;
+    }
+    
+    let address;
+    try {
+        address = await resolveProxyTarget(host);
+    } catch (error) {
+        fail(502, 'Bad Gateway', { error: error.message });
+        return;
+    }
+    
+    const upstream = net.connect(port, address, () => {
+        clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+        updateTrafficEntry(proxy, entry, { status: 200, statusText: 'Connection Established' }, false);
+        
+        if (head.length > 0) {
+            entry.requestBytes += head.length;
+            upstream.write(head);
+        }
+        clientSocket.on('data', (chunk) => {
+            entry.requestBytes += chunk.length;
+        });
+        upstream.on('data', (chunk) => {
+            entry.responseBytes += chunk.length;
+        });
+        clientSocket.pipe(upstream);
+        upstream.pipe(clientSocket);
+    });
+    
+    upstream.setTimeout(PROXY_IDLE_TIMEOUT_MS, () => upstream.destroy(new Error('Tunnel idle timeout')));
+    upstream.on('error', (error) => {
+        if (entry.status === null) {
+            fail(502, 'Bad Gateway', { error: error.message });
+        } else {
+            updateTrafficEntry(proxy, entry, { error: error.message });
+        }
+    });
+    upstream.on('close', () => {
+        clientSocket.destroy();
+        updateTrafficEntry(proxy, entry, {});
+    });
+    clientSocket.on('close', () => upstream.destroy());
+}
+
+/**
+ * Summarise a traffic log entry for the traffic list and console subscribers
+ */
+function formatTrafficEntry(entry) {
+    return {
+        id: entry.id,
+        startedAt: entry.startedAt.toISOString(),
+        method: entry.method,
+        url: entry.url,
+        status: entry.status,
+        blocked: entry.blocked,
+        error: entry.error,
+        requestBytes: entry.requestBytes,
+        responseBytes: entry.responseBytes,
+        mimeType: entry.mimeType,
+        duration: entry.duration,
+        done: entry.done
+    };
+}
+
+/**
+ * HAR query string parameters of a logged URL
+ */
+function getHarQueryString(url) {
+    try {
+        return Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Convert a traffic log entry to a HAR 1.2 entry. Bodies are not recorded;
+ * blocked and failed requests are marked with the _blocked and _error fields.
+ */
+function toHarEntry(entry) {
+    const time = entry.duration ?? Date.now() - entry.startedAt;
+    const location = entry.responseHeaders.find(header => header.name.toLowerCase() === 'location');
+    
+    return {
+        startedDateTime: entry.startedAt.toISOString(),
+        time,
+        request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: entry.httpVersion,
+            cookies: [],
+            headers: entry.requestHeaders,
+            queryString: getHarQueryString(entry.url),
+            headersSize: -1,
+            bodySize: entry.requestBytes
         },
-        on: (event, handler) => {
-            processEmitter.on(event, handler);
+        response: {
+            status: entry.status ?? 0,
+            statusText: entry.statusText,
+            httpVersion: entry.httpVersion,
+            cookies: [],
+            headers: entry.responseHeaders,
+            content: { size: entry.responseBytes, mimeType: entry.mimeType || 'x-unknown' },
+            redirectURL: location ? location.value : '',
+            headersSize: -1,
+            bodySize: entry.responseBytes
+        },
+        cache: {},
+        timings: { send: 0, wait: time, receive: 0 },
+        _blocked: entry.blocked,
+        _error: entry.error
+    };
+}
+
+/**
+ * Describe where an emulator's VNC server listens, for console messages
+ */
+function describeVnc(emulator) {
+    return emulator.vncSocketPath ? `unix:${emulator.vncSocketPath}` : `127.0.0.1:${emulator.vncPort}`;
+}
+
+/**
+ * Remove a file if it exists, logging instead of throwing on failure
+ */
+function removeFileIfExists(filePath) {
+    if (fs.existsSync(filePath)) {
+        try {
+            fs.unlinkSync(filePath);
+        } catch (err) {
+            console.error(`Failed to remove ${filePath}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Read the metadata saved next to a partial download
+ */
+function readDownloadMeta(gzPath) {
+    try {
+        return JSON.parse(fs.readFileSync(`${gzPath}.json`, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Save the metadata needed to resume a partial download
+ */
+function writeDownloadMeta(gzPath, meta) {
+    fs.writeFileSync(`${gzPath}.json`, JSON.stringify(meta));
+}
+
+/**
+ * Delete a partial download and its metadata
+ */
+function discardDownload(gzPath) {
+    removeFileIfExists(gzPath);
+    removeFileIfExists(`${gzPath}.json`);
+}
+
+/**
+ * Create an error that the download retry loop may retry
+ */
+function retryableError(message) {
+    const error = new Error(message);
+    error.retryable = true;
+    return error;
+}
+
+/**
+ * Make one attempt at downloading a file, following redirects and resuming
+ * an existing partial download with a Range request when possible.
+ * Resolves with the (updated) download metadata once the file is complete.
+ */
+function downloadAttempt(downloadUrl, gzPath, meta, onProgress) {
+    return new Promise((resolve, reject) => {
+        const offset = fs.existsSync(gzPath) ? fs.statSync(gzPath).size : 0;
+        const headers = {};
+        
+        // Only resume when we can tell the server which version the partial file belongs to,
+        // If-Range makes it send the whole file (200) instead if it has changed since
+        const validator = meta.etag || meta.lastModified;
+        if (offset > 0 && validator) {
+            headers['Range'] = `bytes=${offset}-`;
+            headers['If-Range'] = validator;
+        }
+        
+        const request = https.get(downloadUrl, { headers }, (response) => {
+            // Follow redirects (GitHub releases use 302)
+            if (response.statusCode === 301 || response.statusCode === 302) {
+                response.resume();
+                const redirectUrl = response.headers.location;
+                if (!redirectUrl) {
+                    reject(new Error('Redirect response missing location header'));
+                    return;
+                }
+                
+                // Validate redirect URL
+                try {
+                    const parsed = new URL(redirectUrl);
+                    if (parsed.protocol !== 'https:') {
+                        reject(new Error('Redirect URL must use HTTPS protocol'));
+                        return;
+                    }
+                } catch (parseErr) {
+                    reject(new Error(`Invalid redirect URL: ${redirectUrl}`));
+                    return;
+                }
+                
+                // Follow redirect
+                resolve(downloadAttempt(redirectUrl, gzPath, meta, onProgress));
+                return;
+            }
+            
+            // Range not satisfiable - either the partial file is already complete or it is invalid
+            if (response.statusCode === 416) {
+                response.resume();
+                if (meta.totalBytes && offset === meta.totalBytes) {
+                    resolve(meta);
+                } else {
+                    discardDownload(gzPath);
+                    reject(retryableError('Partial download could not be resumed, restarting'));
+                }
+                return;
+            }
+            
+            let append = false;
+            if (response.statusCode === 206) {
+                const range = /^bytes (\d+)-\d+\/(\d+|\*)$/.exec(response.headers['content-range'] || '');
+                const etagChanged = meta.etag && response.headers.etag && response.headers.etag !== meta.etag;
+                
+                if (!range || Number(range[1]) !== offset || etagChanged) {
+                    response.resume();
+                    discardDownload(gzPath);
+                    reject(retryableError('Server returned an unexpected range, restarting download'));
+                    return;
+                }
+                
+                append = true;
+                if (range[2] !== '*') {
+                    meta.totalBytes = Number(range[2]);
+                }
+            } else if (response.statusCode === 200) {
+                // Fresh download (no partial file, Range unsupported or the file changed)
+                meta.totalBytes = parseInt(response.headers['content-length'], 10) || null;
+                meta.etag = response.headers.etag || null;
+                meta.lastModified = response.headers['last-modified'] || null;
+            } else {
+                response.resume();
+                const error = new Error(`Failed to download: HTTP ${response.statusCode}`);
+                error.retryable = response.statusCode >= 500 || response.statusCode === 429;
+                reject(error);
+                return;
+            }
+            
+            if (offset > 0) {
+                console.log(append ? `Resuming download at byte ${offset}` : 'Server sent the full file, restarting download');
+            }
+            writeDownloadMeta(gzPath, meta);
+            
+            const file = fs.createWriteStream(gzPath, { flags: append ? 'a' : 'w' });
+            let bytesDownloaded = append ? offset : 0;
+            onProgress({
+                phase: 'downloading',
+                bytesDownloaded,
+                totalBytes: meta.totalBytes,
+                resumedFrom: append ? offset : 0,
+                downloadStartedAt: Date.now(),
+                retryingAt: null
+            });
+            
+            response.on('data', (chunk) => {
+                bytesDownloaded += chunk.length;
+                onProgress({ bytesDownloaded });
+            });
+            
+            response.on('error', (err) => {
+                file.destroy();
+                reject(retryableError(err.message));
+            });
+            
+            file.on('error', (err) => {
+                response.destroy();
+                reject(err);
+            });
+            
+            file.on('finish', () => {
+                // A dropped connection can end the response early without an error
+                if (!response.complete || (meta.totalBytes && bytesDownloaded < meta.totalBytes)) {
+                    reject(retryableError(`Connection closed after ${bytesDownloaded} bytes`));
+                    return;
+                }
+                resolve(meta);
+            });
+            
+            response.pipe(file);
+        });
+        
+        request.on('error', (err) => {
+            reject(retryableError(err.message));
+        });
+        
+        request.setTimeout(DOWNLOAD_TIMEOUT_MS, () => {
+            request.destroy(new Error('Download timeout'));
+        });
+    });
+}
+
+/**
+ * Download a file, keeping partial data across failures and retrying with
+ * exponential backoff. Partial downloads also survive server restarts.
+ */
+async function downloadWithResume(url, gzPath, onProgress) {
+    let meta = readDownloadMeta(gzPath);
+    
+    // A partial file from another URL (or without metadata) cannot be resumed
+    if (!meta || meta.url !== url) {
+        discardDownload(gzPath);
+        meta = { url, etag: null, lastModified: null, totalBytes: null };
+    }
+    
+    for (let attempt = 1; ; attempt++) {
+        try {
+            onProgress({ attempt });
+            return await downloadAttempt(url, gzPath, meta, onProgress);
+        } catch (error) {
+            if (!error.retryable || attempt >= DOWNLOAD_MAX_ATTEMPTS) {
+                throw error;
+            }
+            
+            const delay = Math.min(DOWNLOAD_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), DOWNLOAD_RETRY_MAX_DELAY_MS);
+            console.warn(`Download attempt ${attempt} failed (${error.message}), retrying in ${delay / 1000}s`);
+            onProgress({ lastError: error.message, retryingAt: Date.now() + delay });
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+/**
+ * Compute the sha256 of a file
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', (chunk) => hash.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+/**
+ * Decompress a gzipped file, reporting progress in compressed bytes read
+ */
+function extractGzip(gzPath, targetPath, onProgress) {
+    return new Promise((resolve, reject) => {
+        const readStream = fs.createReadStream(gzPath);
+        const writeStream = fs.createWriteStream(targetPath);
+        const gunzip = zlib.createGunzip();
+        let bytesExtracted = 0;
+        
+        onProgress({
+            phase: 'extracting',
+            bytesExtracted,
+            extractTotal: fs.statSync(gzPath).size,
+            extractStartedAt: Date.now()
+        });
+        
+        readStream.on('data', (chunk) => {
+            bytesExtracted += chunk.length;
+            onProgress({ bytesExtracted });
+        });
+        
+        const fail = (message) => (err) => {
+            readStream.destroy();
+            writeStream.destroy();
+            removeFileIfExists(targetPath);
+            reject(new Error(`${message}: ${err.message}`));
+        };
+        
+        readStream.on('error', fail('Read error'));
+        gunzip.on('error', fail('Decompression error'));
+        writeStream.on('error', fail('Write error'));
+        writeStream.on('finish', () => resolve(targetPath));
+        
+        readStream.pipe(gunzip).pipe(writeStream);
+    });
+}
+
+/**
+ * Download and extract a gzipped image file. Interrupted downloads are kept
+ * and resumed; the complete download is checked against the expected size and
+ * sha256 (when given) before it is extracted.
+ * onProgress receives partial progress updates for each phase.
+ */
+async function downloadAndExtractImage(url, targetPath, expected = {}, onProgress = () => {}) {
+    const gzPath = targetPath + '.gz';
+    const partPath = targetPath + '.part';
+    
+    // Step 1: Download the gzipped file
+    console.log(`Downloading image from: ${url}`);
+    console.log(`Downloading gzipped file to: ${gzPath}`);
+    
+    let download;
+    try {
+        download = await downloadWithResume(url, gzPath, onProgress);
+    } catch (error) {
+        // The partial file is kept so the next attempt can resume it
+        throw new Error(`Download failed: ${error.message}`);
+    }
+    
+    // Step 2: Validate the download before extracting it
+    onProgress({ phase: 'verifying' });
+    const size = fs.statSync(gzPath).size;
+    
+    if (download.totalBytes && size !== download.totalBytes) {
+        discardDownload(gzPath);
+        throw new Error(`Incomplete download: expected ${download.totalBytes} bytes, got ${size}`);
+    }
+    
+    if (expected.size && size !== expected.size) {
+        discardDownload(gzPath);
+        throw new Error(`Size mismatch: expected ${expected.size} bytes, got ${size}`);
+    }
+    
+    if (expected.sha256) {
+        const sha256 = await hashFile(gzPath);
+        if (sha256 !== expected.sha256) {
+            discardDownload(gzPath);
+            throw new Error(`Checksum mismatch: expected sha256 ${expected.sha256}, got ${sha256}`);
+        }
+    } else {
+        console.warn(`No sha256 configured for ${url}, download not verified`);
+    }
+    
+    // Step 3: Extract next to the target and rename, so a cached image is always complete
+    console.log(`Download complete, extracting to: ${targetPath}`);
+    await extractGzip(gzPath, partPath, onProgress);
+    fs.renameSync(partPath, targetPath);
+    discardDownload(gzPath);
+    
+    console.log(`Image downloaded and extracted to: ${targetPath}`);
+    return targetPath;
+}
+
+/**
+ * Get or download the browser image
+ */
+async function ensureImageAvailable(browserConfig) {
+    // Download and extract the image (shared with any other session waiting for it).
+    // Checked first because the image file already exists while it is being extracted.
+    const job = getProvisioningJob(browserConfig);
+    if (job) {
+        return job.promise;
+    }
+    
+    const imagePath = getImagePath(browserConfig);
+    
+    // Check if image already exists
+    if (fs.existsSync(imagePath)) {
+        console.log(`Image already exists at: ${imagePath}`);
+        return imagePath;
+    }
+    
+    // No URL is configured, return null (image not available)
+    console.log(`No image URL configured for ${browserConfig.name}`);
+    return null;
+}
+
+/**
+ * Get the provisioning job downloading a browser's image, starting one if none
+ * is in flight. Returns null if the image is cached or cannot be downloaded.
+ * The job promise resolves with the image path, or null if provisioning failed.
+ */
+function getProvisioningJob(browserConfig) {
+    const imagePath = getImagePath(browserConfig);
+    
+    if (activeProvisioning.has(imagePath)) {
+        return activeProvisioning.get(imagePath);
+    }
+    
+    if (fs.existsSync(imagePath) || !browserConfig.imageUrl) {
+        return null;
+    }
+    
+    const job = {
+        id: uuidv4(),
+        browser: browserConfig.id,
+        image: path.basename(imagePath),
+        state: 'downloading',
+        phase: 'downloading',
+        bytesDownloaded: 0,
+        totalBytes: browserConfig.size,
+        resumedFrom: 0,
+        downloadStartedAt: Date.now(),
+        attempt: 0,
+        lastError: null,
+        retryingAt: null,
+        bytesExtracted: 0,
+        extractTotal: null,
+        startedAt: Date.now(),
+        extractStartedAt: null,
+        finishedAt: null,
+        error: null,
+        promise: null
+    };
+    
+    const onProgress = (update) => {
+        Object.assign(job, update);
+        job.state = job.phase;
+    };
+    
+    job.promise = downloadAndExtractImage(browserConfig.imageUrl, imagePath, {
+        sha256: browserConfig.sha256,
+        size: browserConfig.size
+    }, onProgress)
+        .then(() => {
+            job.state = 'ready';
+            return imagePath;
+        })
+        .catch((error) => {
+            console.error(`Failed to download image: ${error.message}`);
+            job.state = 'failed';
+            job.error = error.message;
+            return null;
+        })
+        .finally(() => {
+            job.finishedAt = Date.now();
+            activeProvisioning.delete(imagePath);
+            setTimeout(() => provisioningJobs.delete(job.id), PROVISIONING_JOB_TTL_MS);
+        });
+    
+    provisioningJobs.set(job.id, job);
+    activeProvisioning.set(imagePath, job);
+    
+    return job;
+}
+
+/**
+ * Summarise a provisioning job for the API, including progress and ETA
+ */
+function formatProvisioningJob(job) {
+    const now = job.finishedAt || Date.now();
+    const percent = (done, total) => (total ? Math.min(100, Math.round((done / total) * 100)) : null);
+    
+    // Estimate the remaining time from the throughput of the current phase
+    let etaSeconds = null;
+    const attemptBytes = job.bytesDownloaded - job.resumedFrom;
+    if (job.state === 'downloading' && job.totalBytes && attemptBytes > 0) {
+        // Only bytes transferred by the current attempt count towards the rate
+        const rate = attemptBytes / ((now - job.downloadStartedAt) / 1000);
+        etaSeconds = Math.ceil((job.totalBytes - job.bytesDownloaded) / rate);
+    } else if (job.state === 'extracting' && job.extractTotal && job.bytesExtracted > 0) {
+        const rate = job.bytesExtracted / ((now - job.extractStartedAt) / 1000);
+        etaSeconds = Math.ceil((job.extractTotal - job.bytesExtracted) / rate);
+    } else if (job.state === 'ready' || job.state === 'failed') {
+        etaSeconds = 0;
+    }
+    
+    return {
+        id: job.id,
+        browser: job.browser,
+        image: job.image,
+        state: job.state,
+        download: {
+            bytes: job.bytesDownloaded,
+            totalBytes: job.totalBytes,
+            percent: percent(job.bytesDownloaded, job.totalBytes)
+        },
+        extraction: {
+            bytes: job.bytesExtracted,
+            totalBytes: job.extractTotal,
+            percent: percent(job.bytesExtracted, job.extractTotal)
+        },
+        etaSeconds,
+        elapsedSeconds: Math.floor((now - job.startedAt) / 1000),
+        attempt: job.attempt,
+        resumedFrom: job.resumedFrom,
+        retryInSeconds: job.retryingAt ? Math.max(0, Math.ceil((job.retryingAt - Date.now()) / 1000)) : null,
+        lastError: job.lastError,
+        error: job.error
+    };
+}
+
+/**
+ * Convert resolved RAM (in GB) to QEMU memory parameter
+ */
+function getRamParameter(ramGb) {
+    return `${ramGb}G`;
+}
+
+/**
+ * Resolve the RAM option to gigabytes. "unlimited" becomes a ceiling derived
+ * from the currently free host memory (at least 1 GB).
+ */
+function resolveRamGb(ram) {
+    if (ram === 'unlimited') {
+        const freeGb = Math.floor((os.freemem() * UNLIMITED_RAM_FREE_RATIO) / GIB);
+        return Math.max(1, Math.min(UNLIMITED_RAM_MAX_GB, freeGb));
+    }
+    return Number(ram);
+}
+
+/**
+ * Host resources an emulator with this configuration commits
+ */
+function getResourceRequest(config) {
+    const ramGb = resolveRamGb(config.ram);
+    const vramMb = Number(config.vram);
+    
+    return {
+        ramGb,
+        vramMb,
+        memoryBytes: ramGb * GIB + vramMb * MIB,
+        vcpus: browserConfigs[config.browser].qemu.smp
+    };
+}
+
+/**
+ * Get the host-wide budgets for running emulators
+ */
+function getResourceLimits() {
+    return {
+        emulators: MAX_EMULATORS,
+        memoryBytes: Math.floor(os.totalmem() * MEMORY_COMMIT_RATIO),
+        vcpus: Math.floor(os.cpus().length * VCPU_COMMIT_RATIO),
+        emulatorsPerClient: MAX_EMULATORS_PER_CLIENT
+    };
+}
+
+/**
+ * Sum the resources committed by emulators that have not stopped
+ */
+function getCommittedResources() {
+    const committed = { emulators: 0, memoryBytes: 0, vcpus: 0 };
+    
+    for (const emulator of emulators.values()) {
+        if (emulator.state !== 'stopped') {
+            committed.emulators++;
+            committed.memoryBytes += emulator.resources.memoryBytes;
+            committed.vcpus += emulator.resources.vcpus;
+        }
+    }
+    
+    return committed;
+}
+
+/**
+ * Decide whether a new emulator fits into the host and client budgets.
+ * Returns null if it does, otherwise the HTTP status and the exceeded budget.
+ */
+function checkAdmission(resources, clientId, isAdmin) {
+    const limits = getResourceLimits();
+    const committed = getCommittedResources();
+    const reject = (status, budget, message, limit, used, requested) => ({ status, budget, message, limit, used, requested });
+    
+    if (committed.emulators + 1 > limits.emulators) {
+        return reject(503, 'emulators', `The host is already running the maximum of ${limits.emulators} emulators`,
+            limits.emulators, committed.emulators, 1);
+    }
+    
+    // The admin key is not subject to the per-client limit
+    if (!isAdmin) {
+        const clientEmulators = Array.from(emulators.values())
+            .filter(e => e.state !== 'stopped' && e.clientId === clientId).length;
+        if (clientEmulators + 1 > limits.emulatorsPerClient) {
+            return reject(409, 'client', `You already have ${clientEmulators} emulators running (limit ${limits.emulatorsPerClient}); stop one first`,
+                limits.emulatorsPerClient, clientEmulators, 1);
+        }
+    }
+    
+    if (committed.memoryBytes + resources.memoryBytes > limits.memoryBytes) {
+        const availableGb = Math.max(0, (limits.memoryBytes - committed.memoryBytes) / GIB).toFixed(1);
+        return reject(503, 'memory', `Not enough host memory: ${(resources.memoryBytes / GIB).toFixed(1)} GB requested, ${availableGb} GB available`,
+            limits.memoryBytes, committed.memoryBytes, resources.memoryBytes);
+    }
+    
+    if (committed.vcpus + resources.vcpus > limits.vcpus) {
+        return reject(503, 'vcpus', `Not enough host CPUs: ${resources.vcpus} vCPUs requested, ${Math.max(0, limits.vcpus - committed.vcpus)} available`,
+            limits.vcpus, committed.vcpus, resources.vcpus);
+    }
+    
+    return null;
+}
+
+/**
+ * Convert VRAM configuration to QEMU VGA memory parameter
+ */
+function getVramParameter(vram) {
+    // VRAM is specified in MB for QEMU
+    return vram;
+}
+
+/**
+ * Create the in-memory record for an emulator session
+ */
+function createEmulatorRecord(id, config, resources, clientId) {
+    return {
+        id,
+        process: null,
+        config,
+        browserConfig: browserConfigs[config.browser],
+        resources,
+        clientId,
+        consoleLog: createConsoleLog(),
+        consoleClients: new Set(),
+        vncClients: new Set(),
+        idleSince: null,
+        detachDeadline: null,
+        expiresAt: Date.now() + SESSION_MAX_LIFETIME_MS,
+        expiryWarned: false,
+        state: 'starting',
+        running: false,
+        startTime: new Date(),
+        vncDisplay: undefined,
+        vncPort: null,
+        vncSocketPath: null,
+        imagePath: null,
+        provisioningJobId: null,
+        qmp: null,
+        qmpSocketPath: null,
+        diskPath: null,
+        sessionDisk: config.sessionDisk || null,
+        sharedFolder: null,
+        trafficProxy: null,
+        paused: false,
+        stopPromise: null,
+        adopted: false,
+        token: crypto.randomBytes(32).toString('base64url'),
+        // Tokens of view-only share links
+        viewTokens: new Set(),
+        // Control handoff: the viewer whose VNC input is forwarded, viewers
+        // waiting for control, display names by viewer ID, and registrations
+        // by viewer ID: { secret, idleSince } with the secret issued with the
+        // ID that proves a request comes from it
+        driver: null,
+        controlRequests: [],
+        viewerNames: new Map(),
+        viewerSecrets: new Map(),
+        // VNC authentication only uses the first 8 characters of a password
+        vncPassword: crypto.randomBytes(6).toString('base64url'),
+        vncPasswordSet: false
+    };
+}
+
+/**
+ * Start a QEMU emulator instance on a VNC display reserved with
+ * allocateVncDisplay (undefined with VNC_TRANSPORT=unix), with the traffic
+ * proxy started for it if it uses one. Returns immediately;
+ * if the browser image still has to be downloaded the emulator stays in the
+ * 'provisioning' state and is launched once the shared provisioning job completes.
+ */
+function startQemuEmulator(config, resources, clientId, vncDisplay, trafficProxy = null) {
+    const emulatorId = uuidv4();
+    const browserConfig = browserConfigs[config.browser];
+    
+    const job = getProvisioningJob(browserConfig);
+    
+    // Store emulator instance first
+    const emulatorData = createEmulatorRecord(emulatorId, config, resources, clientId);
+    Object.assign(emulatorData, {
+        state: job ? 'provisioning' : 'starting',
+        vncDisplay,
+        vncPort: vncDisplay === undefined ? null : VNC_BASE_PORT + vncDisplay,
+        vncSocketPath: vncDisplay === undefined ? path.join(RUNTIME_DIR, `${emulatorId}.vnc`) : null,
+        provisioningJobId: job ? job.id : null,
+        trafficProxy
+    });
+    emulators.set(emulatorId, emulatorData);
+    
+    if (job) {
+        appendLifecycle(emulatorData, 'provisioning', `Provisioning ${browserConfig.name} image (${job.image})...\n`);
+        ensureImageAvailable(browserConfig).then((imagePath) => {
+            if (!imagePath) {
+                appendConsole(emulatorData, 'system', `Image provisioning failed: ${job.error}\n`);
+            }
+            launchEmulator(emulatorData, imagePath);
+        });
+    } else {
+        const imagePath = fs.existsSync(getImagePath(browserConfig)) ? getImagePath(browserConfig) : null;
+        launchEmulator(emulatorData, imagePath);
+    }
+    
+    return {
+        emulatorId,
+        state: emulatorData.state,
+        jobId: emulatorData.provisioningJobId,
+        output: renderConsoleText(emulatorData.consoleLog.entries),
+        vncPort: emulatorData.vncPort,
+        hasImage: !!emulatorData.imagePath,
+        sessionDisk: emulatorData.sessionDisk,
+        token: emulatorData.token,
+        vncPassword: emulatorData.vncPassword
+    };
+}
+
+/**
+ * Launch QEMU (or the simulation) for an emulator whose image has been provisioned
+ */
+function launchEmulator(emulatorData, imagePath) {
+    const { id: emulatorId, config, browserConfig } = emulatorData;
+    
+    // Stopped while its image was still provisioning
+    if (emulatorData.state === 'stopped') {
+        return;
+    }
+    
+    const ramParam = getRamParameter(emulatorData.resources.ramGb);
+    const vramParam = getVramParameter(config.vram);
+    const qmpSocketPath = path.join(RUNTIME_DIR, `${emulatorId}.qmp`);
+    const vncListen = emulatorData.vncSocketPath
+        ? `unix:${emulatorData.vncSocketPath}`
+        : `127.0.0.1:${emulatorData.vncDisplay}`;
+    
+    // Build QEMU command arguments with VNC display
+    const qemuArgs = [
+        '-m', ramParam,                          // RAM allocation
+        '-vga', 'std',                           // Standard VGA
+        '-device', `VGA,vgamem_mb=${vramParam}`, // VRAM allocation
+        '-smp', String(browserConfig.qemu.smp),  // CPU cores
+        '-vnc', `${vncListen},password=on`,      // VNC on localhost only, password set over QMP
+        '-serial', 'stdio',                      // Serial output to stdio
+        '-qmp', `unix:${qmpSocketPath},server=on,wait=off`, // QMP control socket
+        ...getNetworkArgs(config, emulatorData.trafficProxy) // Guest network mode
+    ];
+    
+    // Only add KVM if available (check if /dev/kvm exists)
+    if (fs.existsSync('/dev/kvm')) {
+        qemuArgs.push('-enable-kvm', '-cpu', 'host');
+    } else {
+        // Use software emulation
+        qemuArgs.push('-cpu', 'qemu64');
+    }
+    
+    let qemuProcess = null;
+    
+    emulatorData.imagePath = imagePath;
+    emulatorData.state = 'running';
+    emulatorData.running = true;
+    appendLifecycle(emulatorData, 'running', generateStartupMessage(config, emulatorData.resources, browserConfig, imagePath, describeVnc(emulatorData)));
+    
+    // Check if QEMU is available and start accordingly
+    try {
+        const qemuPath = findQemu();
+        
+        if (qemuPath && imagePath) {
+            // The guest reaches the traffic proxy through netcat
+            if (config.proxy && !findNetcat()) {
+                throw new Error('nc (netcat) not found, it is required for the traffic proxy');
+            }
+            
+            // Not every QEMU build comes with virtfs
+            if (config.sharedFolder && !hasVirtfsSupport(qemuPath)) {
+                throw new Error(`${qemuPath} was built without virtfs (virtio-9p) support, which the shared folder requires`);
+            }
+            
+            // QEMU is available and we have an image - boot from a private
+            // overlay so the shared base image is never written to
+            emulatorData.diskPath = createDiskOverlay(emulatorId, imagePath, browserConfig, config);
+            qemuArgs.push('-drive', `file=${emulatorData.diskPath},format=qcow2,if=ide,index=0,media=disk`);
+            console.log(`Using disk overlay: ${emulatorData.diskPath} (backing file: ${imagePath})`);
+            
+            // Boot straight into a saved VM state instead of a cold start
+            if (config.snapshot) {
+                qemuArgs.push('-loadvm', config.snapshot);
+                console.log(`Restoring snapshot: ${config.snapshot}`);
+            }
+            
+            // Shared folder for file transfer, files are created as the QEMU user
+            if (config.sharedFolder) {
+                emulatorData.sharedFolder = createSharedFolder(emulatorId);
+                qemuArgs.push(
+                    '-fsdev', `local,id=shared,path=${emulatorData.sharedFolder},security_model=none`,
+                    '-device', `virtio-9p-pci,fsdev=shared,mount_tag=${SHARED_FOLDER_MOUNT_TAG}`
+                );
+            }
+            
+            console.log(`Starting QEMU with VNC on ${describeVnc(emulatorData)}`);
+            console.log(`QEMU command: ${qemuPath} ${qemuArgs.join(' ')}`);
+            
+            // Run QEMU in its own process group so it survives the server
+            // being interrupted and can be re-adopted after a restart
+            qemuProcess = spawn(qemuPath, qemuArgs, {
+                stdio: ['pipe', 'pipe', 'pipe'],
+                detached: true
+            });
+            
+            setupProcessHandlers(qemuProcess, emulatorId, config);
+            emulatorData.process = qemuProcess;
+            emulatorData.qmpSocketPath = qmpSocketPath;
+            persistRegistry();
+            
+            // Attach the QMP control channel once QEMU has created the socket
+            connectQmpWithRetry(qmpSocketPath)
+                .then((client) => {
+                    attachQmp(emulatorData, client);
+                    return setVncPassword(emulatorData);
+                })
+                .catch((error) => {
+                    console.error(`QMP connection failed for emulator ${emulatorId}:`, error.message);
+                    appendConsole(emulatorData, 'system', `\nQMP control channel unavailable: ${error.message}\n`);
+                });
+            
+            // Add VNC connection info to output
+            setTimeout(() => {
+                const emulator = emulators.get(emulatorId);
+                if (emulator) {
+                    appendConsole(emulator, 'system', `\nVNC server started on ${describeVnc(emulator)}\nWebSocket proxy available at /vnc/${emulatorId}\n` +
+                        (config.sharedFolder ? `Shared folder: mount -t 9p -o trans=virtio,version=9p2000.L ${SHARED_FOLDER_MOUNT_TAG} /mnt/shared\n` : '') +
+                        (config.proxy ? `Traffic proxy: set the guest browser's HTTP and HTTPS proxy to ${PROXY_GUEST_ADDRESS}:${PROXY_GUEST_PORT}\n` : ''));
+                }
+            }, 500);
+        } else {
+            // QEMU not available or no image, run in simulation mode
+            console.log('QEMU not found or no image available, running in simulation mode');
+            if (config.sharedFolder) {
+                emulatorData.sharedFolder = createSharedFolder(emulatorId);
+            }
+            qemuProcess = simulateQemu(config, emulatorData.resources, describeVnc(emulatorData));
+            setupProcessHandlers(qemuProcess, emulatorId, config);
+            emulatorData.process = qemuProcess;
+            attachQmp(emulatorData, simulateQmp(qemuProcess));
+            setVncPassword(emulatorData);
+        }
+    } catch (error) {
+        console.error('Error starting QEMU:', error);
+        emulatorData.state = 'stopped';
+        emulatorData.running = false;
+        appendLifecycle(emulatorData, 'stopped', `\nError: ${error.message}\n`);
+        releaseVnc(emulatorData);
+        releasePortForwards(emulatorData);
+        releaseTrafficProxy(emulatorData);
+        releaseDiskOverlay(emulatorData);
+        releaseSharedFolder(emulatorData);
+    }
+}
+
+/**
+ * Find QEMU executable
+ */
+function findQemu() {
+    try {
+        const result = execSync('which qemu-system-x86_64 2>/dev/null', { encoding: 'utf8' });
+        return result.trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Check whether a QEMU build can export a folder to the guest over virtio-9p
+ */
+function hasVirtfsSupport(qemuPath) {
+    try {
+        const devices = execFileSync(qemuPath, ['-device', 'help'], { encoding: 'utf8', timeout: 10000 });
+        return devices.includes('"virtio-9p-pci"');
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Find the netcat executable QEMU runs to reach a traffic proxy
+ */
+function findNetcat() {
+    try {
+        const result = execSync('which nc 2>/dev/null', { encoding: 'utf8' });
+        return result.trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find qemu-img executable
+ */
+function findQemuImg() {
+    try {
+        const result = execSync('which qemu-img 2>/dev/null', { encoding: 'utf8' });
+        return result.trim();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Get the path of a persistent session disk for a browser
+ */
+function getSessionDiskPath(browser, name) {
+    return path.join(SESSION_DISKS_DIR, browser, `${name}.qcow2`);
+}
+
+/**
+ * Get the path of the file recording who owns a persistent session disk
+ */
+function getSessionDiskOwnerPath(browser, name) {
+    return path.join(SESSION_DISKS_DIR, browser, `${name}.owner.json`);
+}
+
+/**
+ * Read the hash of a session disk's key, or null for disks created before
+ * disks had owners
+ */
+function readSessionDiskKeyHash(browser, name) {
+    try {
+        return JSON.parse(fs.readFileSync(getSessionDiskOwnerPath(browser, name), 'utf8')).keyHash || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Give a new session disk an owner, returning the key that grants access to it
+ */
+function claimSessionDisk(browser, name) {
+    const key = crypto.randomBytes(32).toString('base64url');
+    const ownerPath = getSessionDiskOwnerPath(browser, name);
+    fs.mkdirSync(path.dirname(ownerPath), { recursive: true });
+    fs.writeFileSync(ownerPath, JSON.stringify({ keyHash: hashToken(key) }), { mode: 0o600 });
+    return key;
+}
+
+/**
+ * Check whether a session disk (or the owner record of one being created) exists
+ */
+function sessionDiskExists(browser, name) {
+    return fs.existsSync(getSessionDiskPath(browser, name)) || fs.existsSync(getSessionDiskOwnerPath(browser, name));
+}
+
+/**
+ * Get the session disk keys a request presents for a disk
+ */
+function getPresentedDiskKeys(request, browser, name) {
+    const cookies = parseCookies(request.headers.cookie);
+    
+    return [
+        request.headers[DISK_KEY_HEADER],
+        cookies[`${DISK_KEY_COOKIE_PREFIX}${browser}.${name}`]
+    ].filter(Boolean);
+}
+
+/**
+ * Check the caller's access to a persistent session disk: the admin key, or
+ * the key issued when the disk was created. Disks without an owner record
+ * can only be used with the admin key.
+ * Returns null if access is granted, otherwise { status, error }.
+ */
+function checkSessionDiskAccess(request, browser, name) {
+    if (isAdminRequest(request)) {
+        return null;
+    }
+    
+    const keyHash = readSessionDiskKeyHash(browser, name);
+    if (!keyHash) {
+        return { status: 403, error: `Session disk "${name}" has no owner, only the admin key can use it` };
+    }
+    
+    const keys = getPresentedDiskKeys(request, browser, name);
+    if (keys.length === 0) {
+        return { status: 401, error: 'Session disk key required' };
+    }
+    
+    if (!keys.some(key => secretsMatch(hashToken(key), keyHash))) {
+        return { status: 403, error: 'Invalid session disk key' };
+    }
+    
+    return null;
+}
+
+/**
+ * Find the running emulator (if any) that has a disk file attached
+ */
+function findEmulatorUsingDisk(diskPath) {
+    for (const emulator of emulators.values()) {
+        if (emulator.state === 'stopped') continue;
+        
+        // Session disks are claimed from the start, before their image has been provisioned
+        const claimedPath = emulator.sessionDisk
+            ? getSessionDiskPath(emulator.config.browser, emulator.sessionDisk)
+            : emulator.diskPath;
+        if (claimedPath === diskPath) {
+            return emulator;
+        }
+    }
+    return null;
+}
+
+/**
+ * Create the qcow2 overlay an emulator boots from, backed by the read-only base image.
+ * Persistent session disks are reused if they already exist.
+ */
+function createDiskOverlay(emulatorId, imagePath, browserConfig, config) {
+    const overlayPath = config.sessionDisk
+        ? getSessionDiskPath(config.browser, config.sessionDisk)
+        : path.join(RUNTIME_DIR, `${emulatorId}.qcow2`);
+    
+    if (config.sessionDisk) {
+        if (fs.existsSync(overlayPath)) {
+            console.log(`Reusing persistent session disk: ${overlayPath}`);
+            return overlayPath;
+        }
+        fs.mkdirSync(path.dirname(overlayPath), { recursive: true });
+    }
+    
+    const qemuImgPath = findQemuImg();
+    if (!qemuImgPath) {
+        throw new Error('qemu-img not found, cannot create disk overlay');
+    }
+    
+    execFileSync(qemuImgPath, [
+        'create',
+        '-f', 'qcow2',
+        '-b', imagePath,
+        '-F', browserConfig.qemu.imageFormat,
+        overlayPath
+    ], { stdio: 'pipe' });
+    
+    return overlayPath;
+}
+
+/**
+ * Delete an emulator's temporary disk overlay (persistent session disks are kept)
+ */
+function releaseDiskOverlay(emulator) {
+    if (!emulator.diskPath || emulator.sessionDisk) {
+        return;
+    }
+    
+    if (fs.existsSync(emulator.diskPath)) {
+        try {
+            fs.unlinkSync(emulator.diskPath);
+            console.log(`Removed disk overlay: ${emulator.diskPath}`);
+        } catch (err) {
+            console.error(`Failed to remove disk overlay ${emulator.diskPath}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Create the folder shared with an emulator's guest, for file transfer in both directions
+ */
+function createSharedFolder(emulatorId) {
+    const folder = path.join(SHARED_FOLDERS_DIR, emulatorId);
+    // The guest's files are created as our user (security_model=none), keep them to ourselves
+    fs.mkdirSync(folder, { recursive: true, mode: 0o700 });
+    return folder;
+}
+
+/**
+ * Remove an emulator's shared folder and everything the guest or users put in it
+ */
+function releaseSharedFolder(emulator) {
+    if (!emulator.sharedFolder) {
+        return;
+    }
+    
+    try {
+        fs.rmSync(emulator.sharedFolder, { recursive: true, force: true });
+        console.log(`Removed shared folder: ${emulator.sharedFolder}`);
+    } catch (err) {
+        console.error(`Failed to remove shared folder ${emulator.sharedFolder}:`, err.message);
+    }
+}
+
+/**
+ * List the regular files in a shared folder and its subfolders. Symlinks the
+ * guest creates are skipped so they can't expose files outside the folder.
+ */
+function listSharedFiles(folder, prefix = '') {
+    const files = [];
+    
+    for (const entry of fs.readdirSync(path.join(folder, prefix), { withFileTypes: true })) {
+        const name = prefix ? `${prefix}/${entry.name}` : entry.name;
+        
+        if (entry.isDirectory()) {
+            files.push(...listSharedFiles(folder, name));
+        } else if (entry.isFile()) {
+            const stats = fs.lstatSync(path.join(folder, name));
+            files.push({ name, size: stats.size, modified: stats.mtime.toISOString() });
+        }
+    }
+    
+    return files;
+}
+
+/**
+ * Resolve a file name relative to a shared folder (subfolders separated by /).
+ * Returns null unless it names an existing regular file reached without
+ * following symlinks.
+ */
+function resolveSharedFile(folder, name) {
+    const segments = name.split('/');
+    if (segments.some(segment => !SHARED_FILE_NAME_PATTERN.test(segment))) {
+        return null;
+    }
+    
+    const filePath = path.join(folder, ...segments);
+    try {
+        if (fs.realpathSync(filePath) !== path.join(fs.realpathSync(folder), ...segments)) {
+            return null;
+        }
+        return fs.lstatSync(filePath).isFile() ? filePath : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Open a file in a shared folder for reading. The guest can swap a path for a
+ * symlink after resolveSharedFile checked it, so the file that was actually
+ * opened is checked again. Returns { fd, size, filePath } or null.
+ */
+function openSharedFile(folder, name) {
+    const filePath = resolveSharedFile(folder, name);
+    if (!filePath) {
+        return null;
+    }
+    
+    let fd;
+    try {
+        // O_NONBLOCK so a FIFO put in its place can't block the server
+        fd = fs.openSync(filePath, fs.constants.O_RDONLY | fs.constants.O_NOFOLLOW | fs.constants.O_NONBLOCK);
+        const stats = fs.fstatSync(fd);
+        // O_NOFOLLOW only covers the last segment, a subfolder may have been swapped too
+        const openedPath = fs.readlinkSync(`/proc/self/fd/${fd}`);
+        if (stats.isFile() && openedPath === path.join(fs.realpathSync(folder), ...name.split('/'))) {
+            return { fd, size: stats.size, filePath };
+        }
+    } catch {
+        // Handled below like a file that isn't there
+    }
+    
+    if (fd !== undefined) {
+        fs.closeSync(fd);
+    }
+    return null;
+}
+
+/**
+ * Simulate QEMU for demo purposes when QEMU is not installed
+ */
+function simulateQemu(config, resources, vncAddress) {
+    const stdoutEmitter = new EventEmitter();
+    const stderrEmitter = new EventEmitter();
+    const processEmitter = new EventEmitter();
+    
+    // Simulate process interface
+    // Echo serial input like a terminal would, answering each command line
+    let inputLine = '';
+    const stdin = new EventEmitter();
+    stdin.writable = true;
+    stdin.write = (data) => {
+        for (const char of data.toString()) {
+            if (char === '\r' || char === '\n') {
+                const command = inputLine.trim();
+                inputLine = '';
+                stdoutEmitter.emit('data', Buffer.from(command
+                    ? `\n${command}: not available in simulation mode\n~ # `
+                    : '\n~ # '));
+            } else if (char === '\x7f' || char === '\b') {
+                if (inputLine.length > 0) {
+                    inputLine = inputLine.slice(0, -1);
+                    stdoutEmitter.emit('data', Buffer.from('\b \b'));
+                }
+            } else if (char >= ' ') {
+                inputLine += char;
+                stdoutEmitter.emit('data', Buffer.from(char));
+            }
+        }
+        return true;
+    };
+    
+    const simulatedProcess = {
+        stdin,
+        stdout: stdoutEmitter,
+        stderr: stderrEmitter,
+        pid: Math.floor(Math.random() * 90000) + 10000,
+        kill: () => {
+            processEmitter.emit('close', 0);
+        },
+        on: (event, handler) => {
+            processEmitter.on(event, handler);
+        }
+    };
+    
+    // Simulate startup messages (only on stdout)
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from('QEMU emulator version 7.0.0 (simulation mode)\n'));
+    }, 500);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from(`Starting ${config.browser} browser...\n`));
+    }, 1000);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from('Initializing virtual hardware...\n'));
+    }, 1500);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from(`RAM: ${resources.ramGb}GB allocated\n`));
+    }, 2000);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from(`VRAM: ${config.vram}MB allocated\n`));
+    }, 2500);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from(`VNC Server: ${vncAddress} (simulation)\n`));
+    }, 3000);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from('Browser environment ready!\n'));
+    }, 4000);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from('\n[Note: Running in simulation mode - QEMU not installed]\n'));
+    }, 4500);
+    
+    setTimeout(() => {
+        stdoutEmitter.emit('data', Buffer.from('\n~ # '));
+    }, 5000);
+    
+    return simulatedProcess;
+}
+
+/**
+ * Connect to a QEMU Machine Protocol socket and negotiate capabilities.
+ * Resolves with a client exposing execute(command, args, timeoutMs), on(event, handler) and close().
+ */
+function connectQmp(socketPath) {
+    return new Promise((resolve, reject) => {
+        const events = new EventEmitter();
+        const pending = new Map();
+        let nextId = 1;
+        let buffer = '';
+        let ready = false;
+        
+        const socket = net.connect(socketPath);
+        
+        const execute = (command, args, timeoutMs = QMP_COMMAND_TIMEOUT_MS) => new Promise((resolveCommand, rejectCommand) => {
+            if (socket.destroyed) {
+                rejectCommand(new Error('QMP connection closed'));
+                return;
+            }
+            
+            const id = nextId++;
+            const timer = setTimeout(() => {
+                pending.delete(id);
+                rejectCommand(new Error(`QMP command ${command} timed out`));
+            }, timeoutMs);
+            
+            pending.set(id, { resolve: resolveCommand, reject: rejectCommand, timer });
+            
+            const message = { execute: command, id };
+            if (args) {
+                message.arguments = args;
+            }
+            socket.write(JSON.stringify(message) + '\r\n');
+        });
+        
+        const client = {
+            execute,
+            on: (event, handler) => {
+                events.on(event, handler);
+            },
+            close: () => {
+                socket.destroy();
+            }
+        };
+        
+        const handleMessage = (message) => {
+            if (message.QMP) {
+                // Greeting - leave capabilities negotiation mode
+                execute('qmp_capabilities')
+                    .then(() => {
+                        ready = true;
+                        resolve(client);
+                    })
+                    .catch((err) => {
+                        socket.destroy();
+                        reject(err);
+                    });
+            } else if (message.event) {
+                events.emit('event', message);
+            } else if (message.id !== undefined && pending.has(message.id)) {
+                const { resolve: resolveCommand, reject: rejectCommand, timer } = pending.get(message.id);
+                pending.delete(message.id);
+                clearTimeout(timer);
+                
+                if (message.error) {
+                    rejectCommand(new Error(message.error.desc || message.error.class));
+                } else {
+                    resolveCommand(message.return);
+                }
+            }
+        };
+        
+        socket.on('data', (chunk) => {
+            buffer += chunk.toString();
+            
+            let newlineIndex;
+            while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.substring(0, newlineIndex).trim();
+                buffer = buffer.substring(newlineIndex + 1);
+                if (!line) continue;
+                
+                try {
+                    handleMessage(JSON.parse(line));
+                } catch (err) {
+                    console.error(`Invalid QMP message: ${line}`);
+                }
+            }
+        });
+        
+        socket.on('error', (err) => {
+            if (!ready) {
+                reject(err);
+            }
+        });
+        
+        socket.on('close', () => {
+            pending.forEach(({ reject: rejectCommand, timer }) => {
+                clearTimeout(timer);
+                rejectCommand(new Error('QMP connection closed'));
+            });
+            pending.clear();
+            
+            if (ready) {
+                events.emit('close');
+            } else {
+                reject(new Error('QMP connection closed during handshake'));
+            }
+        });
+    });
+}
+
+/**
+ * Connect to QMP, retrying while QEMU is still creating the socket
+ */
+async function connectQmpWithRetry(socketPath) {
+    let lastError = null;
+    
+    for (let attempt = 1; attempt <= QMP_CONNECT_ATTEMPTS; attempt++) {
+        try {
+            return await connectQmp(socketPath);
+        } catch (error) {
+            lastError = error;
+            await new Promise(resolve => setTimeout(resolve, QMP_CONNECT_DELAY_MS));
+        }
+    }
+    
+    throw lastError;
+}
+
+/**
+ * Generate the placeholder screen simulated emulators return from screendump:
+ * a browser window on a gradient desktop, dimmed while the VM is paused (PPM)
+ */
+function generatePlaceholderScreen(paused) {
+    const width = 800;
+    const height = 600;
+    const header = Buffer.from(`P6\n${width} ${height}\n255\n`, 'ascii');
+    const pixels = Buffer.alloc(width * height * 3);
+    
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let color;
+            if (x >= 100 && x < 700 && y >= 80 && y < 520) {
+                color = y < 110 ? [70, 70, 80] : [235, 235, 235];
+            } else {
+                color = [30 + Math.floor(40 * y / height), 60 + Math.floor(60 * x / width), 120];
+            }
+            
+            const offset = (y * width + x) * 3;
+            for (let channel = 0; channel < 3; channel++) {
+                pixels[offset + channel] = paused ? color[channel] >> 1 : color[channel];
+            }
+        }
+    }
+    
+    return Buffer.concat([header, pixels]);
+}
+
+/**
+ * Simulate a QMP client for demo purposes when QEMU is not installed
+ */
+function simulateQmp(simulatedProcess) {
+    const events = new EventEmitter();
+    const snapshots = new Map();
+    const startTime = Date.now();
+    let nextSnapshotId = 1;
+    let paused = false;
+    let closed = false;
+    
+    const emitEvent = (event) => {
+        const now = Date.now();
+        events.emit('event', {
+            event,
+            timestamp: { seconds: Math.floor(now / 1000), microseconds: (now % 1000) * 1000 }
+        });
+    };
+    
+    const commands = {
+        'query-status': () => ({ status: paused ? 'paused' : 'running', running: !paused, singlestep: false }),
+        'stop': () => {
+            paused = true;
+            emitEvent('STOP');
+            return {};
+        },
+        'cont': () => {
+            paused = false;
+            emitEvent('RESUME');
+            return {};
+        },
+        'system_reset': () => {
+            emitEvent('RESET');
+            simulatedProcess.stdout.emit('data', Buffer.from('\n[Simulated system reset]\nBrowser environment ready!\n'));
+            return {};
+        },
+        'system_powerdown': () => {
+            emitEvent('POWERDOWN');
+            simulatedProcess.stdout.emit('data', Buffer.from('\n[Simulated ACPI power-down]\n'));
+            setTimeout(() => simulatedProcess.kill(), 1000);
+            return {};
+        },
+        'set_password': () => ({}),
+        'screendump': (args) => {
+            fs.writeFileSync(args.filename, generatePlaceholderScreen(paused));
+            return {};
+        },
+        'query-block': () => [{
+            device: 'ide0-hd0',
+            inserted: {
+                file: 'simulation.qcow2',
+                image: { filename: 'simulation.qcow2', format: 'qcow2', snapshots: Array.from(snapshots.values()) }
+            }
+        }],
+        'human-monitor-command': (args) => {
+            const [hmpCommand, name] = (args['command-line'] || '').split(' ');
+            const now = Date.now();
+            
+            switch (hmpCommand) {
+                case 'savevm':
+                    snapshots.set(name, {
+                        id: String(nextSnapshotId++),
+                        name,
+                        'vm-state-size': 64 * 1024 * 1024,
+                        'date-sec': Math.floor(now / 1000),
+                        'date-nsec': (now % 1000) * 1000000,
+                        'vm-clock-sec': Math.floor((now - startTime) / 1000),
+                        'vm-clock-nsec': 0
+                    });
+                    return '';
+                case 'loadvm':
+                    if (!snapshots.has(name)) {
+                        return `Error: Snapshot '${name}' does not exist in one or more devices\r\n`;
+                    }
+                    simulatedProcess.stdout.emit('data', Buffer.from(`\n[Simulated restore of snapshot ${name}]\nBrowser environment ready!\n`));
+                    return '';
+                case 'delvm':
+                    if (!snapshots.delete(name)) {
+                        return `Error: Snapshot '${name}' not found\r\n`;
+                    }
+                    return '';
+                default:
+                    return `unknown command: '${hmpCommand}'\r\n`;
+            }
+        }
+    };
+    
+    simulatedProcess.on('close', () => {
+        if (!closed) {
+            closed = true;
+            events.emit('close');
+        }
+    });
+    
+    return {
+        execute: async (command, args = {}) => {
+            if (closed) {
+                throw new Error('QMP connection closed');
+            }
+            if (!commands[command]) {
+                throw new Error(`The command ${command} has not been found`);
+            }
+            return commands[command](args);
+        },
+        on: (event, handler) => {
+            events.on(event, handler);
+        },
+        close: () => {
+            if (!closed) {
+                closed = true;
+                events.emit('close');
+            }
+        }
+    };
+}
+
+/**
+ * Attach a QMP client to an emulator and track guest run state from its events
+ */
+function attachQmp(emulator, client) {
+    if (!emulator.running) {
+        client.close();
+        return;
+    }
+    
+    emulator.qmp = client;
+    
+    client.on('event', (message) => {
+        switch (message.event) {
+            case 'STOP':
+                emulator.paused = true;
+                appendLifecycle(emulator, 'paused', '');
+                break;
+            case 'RESUME':
+                emulator.paused = false;
+                appendLifecycle(emulator, 'resumed', '');
+                break;
+            case 'RESET':
+            case 'POWERDOWN':
+            case 'SHUTDOWN':
+                appendLifecycle(emulator, message.event.toLowerCase(), `\n[QMP] ${message.event}\n`);
+                break;
+        }
+    });
+    
+    client.on('close', () => {
+        if (emulator.qmp === client) {
+            emulator.qmp = null;
+        }
+    });
+}
+
+/**
+ * Stop an emulator and remove it from the registry shortly afterwards, so
+ * viewers can still read the end of its console. Returns the shutdown method.
+ */
+async function stopEmulator(emulator) {
+    // Cancel the launch of an emulator still waiting for its image
+    if (emulator.state === 'provisioning') {
+        emulator.state = 'stopped';
+    }
+    
+    // Power down cleanly, falling back to SIGTERM/SIGKILL
+    const method = await shutdownEmulator(emulator);
+    
+    releaseVnc(emulator);
+    releasePortForwards(emulator);
+    releaseTrafficProxy(emulator);
+    
+    // Remove from active emulators after a delay
+    setTimeout(() => {
+        emulators.delete(emulator.id);
+        emulator.consoleClients.forEach(ws => ws.close(1000, 'Emulator removed'));
+    }, 5000);
+    
+    return method;
+}
+
+/**
+ * Send a message to every console subscriber of an emulator
+ */
+function broadcastToConsole(emulator, message) {
+    const data = JSON.stringify(message);
+    
+    emulator.consoleClients.forEach(ws => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(data);
+        }
+    });
+}
+
+/**
+ * Describe when a session expires, as sent to console subscribers
+ */
+function formatExpiry(emulator) {
+    const expiresIn = Math.max(0, Math.ceil((emulator.expiresAt - Date.now()) / 1000));
+    
+    return {
+        type: 'expiry',
+        expiresIn,
+        warning: expiresIn * 1000 <= SESSION_WARNING_MS,
+        extendBy: SESSION_EXTENSION_MS / 1000
+    };
+}
+
+/**
+ * Stop sessions that have been idle (no VNC viewers or console subscribers)
+ * for too long or reached their lifetime, warning viewers before the latter.
+ * Also forgets the viewers that left running sessions.
+ */
+function reapSessions() {
+    const now = Date.now();
+    
+    for (const emulator of emulators.values()) {
+        if (emulator.state === 'stopped' || emulator.stopPromise) {
+            continue;
+        }
+        
+        pruneViewers(emulator, now);
+        
+        // Waiting for an image download doesn't count as idle
+        const viewers = emulator.vncClients.size + emulator.consoleClients.size;
+        if (viewers > 0 || emulator.state === 'provisioning') {
+            emulator.idleSince = null;
+        } else if (emulator.idleSince === null) {
+            emulator.idleSince = now;
+        }
+        
+        // Another page stayed connected through the whole grace period after
+        // one detached, so the detach no longer applies. Not cleared earlier:
+        // the detaching page's own connections may still be closing.
+        if (viewers > 0 && emulator.detachDeadline !== null && now >= emulator.detachDeadline) {
+            emulator.detachDeadline = null;
+        }
+        
+        let reason = null;
+        if (viewers === 0 && emulator.detachDeadline !== null && now >= emulator.detachDeadline) {
+            reason = 'the emulator page was closed';
+        } else if (emulator.idleSince !== null && now - emulator.idleSince >= SESSION_IDLE_TIMEOUT_MS) {
+            reason = SESSION_IDLE_TIMEOUT_MS >= MINUTE_MS
+                ? `no viewers for ${Math.round(SESSION_IDLE_TIMEOUT_MS / MINUTE_MS)} minutes`
+                : `no viewers for ${Math.round(SESSION_IDLE_TIMEOUT_MS / 1000)} seconds`;
+        } else if (now >= emulator.expiresAt) {
+            reason = 'maximum session lifetime reached';
+        } else if (!emulator.expiryWarned && emulator.expiresAt - now <= SESSION_WARNING_MS) {
+            emulator.expiryWarned = true;
+            broadcastToConsole(emulator, formatExpiry(emulator));
+        }
+        
+        if (reason) {
+            console.log(`Reaping emulator ${emulator.id}: ${reason}`);
+            appendConsole(emulator, 'system', `\nStopping session: ${reason}\n`);
+            stopEmulator(emulator).catch((error) => {
+                console.error(`Error reaping emulator ${emulator.id}:`, error);
+            });
+        }
+    }
+}
+
+const reaperInterval = setInterval(reapSessions, SESSION_REAPER_INTERVAL_MS);
+
+/**
+ * Set the session's VNC password over QMP. QEMU refuses every VNC client
+ * until a password is set, so the proxy only connects once this is done.
+ */
+async function setVncPassword(emulator) {
+    if (!emulator.qmp) return;
+    
+    try {
+        await emulator.qmp.execute('set_password', { protocol: 'vnc', password: emulator.vncPassword });
+        emulator.vncPasswordSet = true;
+    } catch (error) {
+        console.error(`Failed to set VNC password for emulator ${emulator.id}:`, error.message);
+        appendConsole(emulator, 'system', `\nVNC password could not be set: ${error.message}\n`);
+    }
+}
+
+/**
+ * Wait for an emulator process to exit, resolving false on timeout
+ */
+function waitForExit(emulator, timeoutMs) {
+    if (!emulator.running) {
+        return Promise.resolve(true);
+    }
+    
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => resolve(false), timeoutMs);
+        emulator.process.on('close', () => {
+            clearTimeout(timer);
+            resolve(true);
+        });
+    });
+}
+
+/**
+ * Stop an emulator, trying a clean ACPI power-down before SIGTERM and SIGKILL.
+ * Resolves with the method that brought the process down.
+ */
+function shutdownEmulator(emulator) {
+    if (!emulator.process || !emulator.running) {
+        return Promise.resolve('none');
+    }
+    
+    // Concurrent stop requests share the same shutdown sequence
+    if (emulator.stopPromise) {
+        return emulator.stopPromise;
+    }
+    
+    emulator.stopPromise = (async () => {
+        if (emulator.qmp) {
+            try {
+                // A paused guest cannot react to the ACPI event
+                if (emulator.paused) {
+                    await emulator.qmp.execute('cont');
+                }
+                await emulator.qmp.execute('system_powerdown');
+                
+                if (await waitForExit(emulator, POWERDOWN_TIMEOUT_MS)) {
+                    return 'powerdown';
+                }
+                console.log(`Emulator ${emulator.id} did not power down in time, sending SIGTERM`);
+            } catch (error) {
+                console.error(`ACPI power-down failed for emulator ${emulator.id}:`, error.message);
+            }
+        }
+        
+        emulator.process.kill('SIGTERM');
+        if (await waitForExit(emulator, KILL_TIMEOUT_MS)) {
+            return 'sigterm';
+        }
+        
+        console.log(`Emulator ${emulator.id} did not exit after SIGTERM, sending SIGKILL`);
+        emulator.process.kill('SIGKILL');
+        return 'sigkill';
+    })();
+    
+    return emulator.stopPromise;
+}
+
+/**
+ * Convert a QEMU SnapshotInfo object into the API representation
+ */
+function formatSnapshot(snapshot) {
+    return {
+        id: snapshot.id,
+        name: snapshot.name,
+        vmStateSize: snapshot['vm-state-size'],
+        date: new Date(snapshot['date-sec'] * 1000 + Math.floor(snapshot['date-nsec'] / 1000000)).toISOString(),
+        vmClockSeconds: snapshot['vm-clock-sec']
+    };
+}
+
+/**
+ * Run a snapshot HMP command (savevm, loadvm, delvm) through QMP.
+ * HMP reports failures as text output rather than QMP errors.
+ */
+async function runSnapshotCommand(emulator, hmpCommand, name) {
+    const output = await emulator.qmp.execute('human-monitor-command', {
+        'command-line': `${hmpCommand} ${name}`
+    }, SNAPSHOT_TIMEOUT_MS);
+    
+    const message = (output || '').trim();
+    if (message) {
+        throw new Error(message.replace(/^Error:\s*/, ''));
+    }
+}
+
+/**
+ * List the snapshots stored in a running emulator's disk
+ */
+async function listEmulatorSnapshots(emulator) {
+    const devices = await emulator.qmp.execute('query-block');
+    const disk = devices.find(device => device.inserted && device.inserted.file === emulator.diskPath)
+        || devices.find(device => device.inserted);
+    
+    const snapshots = (disk && disk.inserted.image && disk.inserted.image.snapshots) || [];
+    return snapshots.map(formatSnapshot);
+}
+
+/**
+ * List the snapshots stored in a disk file that may not be attached to a running emulator
+ */
+function listDiskSnapshots(diskPath) {
+    const qemuImgPath = findQemuImg();
+    if (!qemuImgPath || !fs.existsSync(diskPath)) {
+        return [];
+    }
+    
+    try {
+        // --force-share allows reading a disk that a running QEMU holds locked
+        const info = JSON.parse(execFileSync(qemuImgPath, ['info', '--output=json', '--force-share', diskPath], {
+            encoding: 'utf8'
+        }));
+        return (info.snapshots || []).map(formatSnapshot);
+    } catch (error) {
+        console.error(`Failed to read snapshots from ${diskPath}:`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Parse a binary PPM (P6) image, the format of QEMU's screendump command
+ */
+function parsePpm(buffer) {
+    const fields = [];
+    let offset = 0;
+    
+    // Magic, width, height and maximum value, separated by whitespace and comments
+    while (fields.length < 4 && offset < buffer.length) {
+        while (/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+        if (buffer[offset] === 0x23) {
+            while (offset < buffer.length && buffer[offset] !== 0x0a) offset++;
+            continue;
+        }
+        const start = offset;
+        while (offset < buffer.length && !/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+        fields.push(buffer.toString('ascii', start, offset));
+    }
+    
+    const [magic, width, height, maxValue] = [fields[0], ...fields.slice(1).map(Number)];
+    if (magic !== 'P6' || !(width > 0) || !(height > 0) || maxValue !== 255) {
+        throw new Error('Unsupported screen dump format');
+    }
+    
+    // A single whitespace character separates the header from the pixels
+    const pixels = buffer.subarray(offset + 1, offset + 1 + width * height * 3);
+    if (pixels.length !== width * height * 3) {
+        throw new Error('Truncated screen dump');
+    }
+    
+    return { width, height, pixels };
+}
+
+/**
+ * Scale an RGB image down to the given width, averaging the source pixels
+ * each target pixel covers
+ */
+function scaleImage(image, width) {
+    if (width >= image.width) {
+        return image;
+    }
+    
+    const height = Math.max(1, Math.round(image.height * width / image.width));
+    const pixels = Buffer.alloc(width * height * 3);
+    
+    for (let y = 0; y < height; y++) {
+        const top = Math.floor(y * image.height / height);
+        const bottom = Math.max(top + 1, Math.floor((y + 1) * image.height / height));
+        
+        for (let x = 0; x < width; x++) {
+            const left = Math.floor(x * image.width / width);
+            const right = Math.max(left + 1, Math.floor((x + 1) * image.width / width));
+            const sum = [0, 0, 0];
+            
+            for (let sourceY = top; sourceY < bottom; sourceY++) {
+                for (let sourceX = left; sourceX < right; sourceX++) {
+                    const source = (sourceY * image.width + sourceX) * 3;
+                    sum[0] += image.pixels[source];
+                    sum[1] += image.pixels[source + 1];
+                    sum[2] += image.pixels[source + 2];
+                }
+            }
+            
+            const count = (bottom - top) * (right - left);
+            const target = (y * width + x) * 3;
+            pixels[target] = Math.round(sum[0] / count);
+            pixels[target + 1] = Math.round(sum[1] / count);
+            pixels[target + 2] = Math.round(sum[2] / count);
+        }
+    }
+    
+    return { width, height, pixels };
+}
+
+// CRC-32 lookup table for PNG chunk checksums
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encode an RGB image as an 8-bit truecolor PNG
+ */
+function encodePng(image) {
+    const chunk = (type, data) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length);
+        const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(crc32(body));
+        return Buffer.concat([length, body, crc]);
+    };
+    
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(image.width, 0);
+    header.writeUInt32BE(image.height, 4);
+    header[8] = 8;  // bit depth
+    header[9] = 2;  // color type: RGB
+    
+    // Every scanline starts with its filter type (0: none)
+    const rowLength = image.width * 3;
+    const scanlines = Buffer.alloc((rowLength + 1) * image.height);
+    for (let y = 0; y < image.height; y++) {
+        image.pixels.copy(scanlines, y * (rowLength + 1) + 1, y * rowLength, (y + 1) * rowLength);
+    }
+    
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(scanlines)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Capture the guest display through QMP's screendump and return it as a PNG,
+ * scaled down to the given width if one is passed
+ */
+async function captureScreenshot(emulator, width) {
+    // QEMU writes the dump itself, so it goes to a file in the runtime directory
+    const dumpPath = path.join(RUNTIME_DIR, `${emulator.id}-${uuidv4()}.ppm`);
+    
+    try {
+        await emulator.qmp.execute('screendump', { filename: dumpPath });
+        const image = parsePpm(await fs.promises.readFile(dumpPath));
+        return encodePng(width ? scaleImage(image, width) : image);
+    } finally {
+        fs.promises.unlink(dumpPath).catch(() => {});
+    }
+}
+
+/**
+ * Create the console log of an emulator: a bounded list of typed entries with
+ * increasing sequence numbers, which subscribers use as their read offset
+ */
+function createConsoleLog() {
+    const events = new EventEmitter();
+    events.setMaxListeners(0);
+    
+    return {
+        entries: [],
+        nextSeq: 0,
+        size: 0,
+        events
+    };
+}
+
+/**
+ * Add an entry to an emulator's console log and notify subscribers
+ */
+function pushConsoleEntry(emulator, entry) {
+    const log = emulator.consoleLog;
+    entry.seq = log.nextSeq++;
+    entry.time = Date.now();
+    
+    log.entries.push(entry);
+    log.size += entry.data.length;
+    
+    // Trim log if it gets too large (keep the newest MAX_BUFFER_SIZE characters)
+    while (log.size > MAX_BUFFER_SIZE && log.entries.length > 1) {
+        log.size -= log.entries.shift().data.length;
+    }
+    
+    log.events.emit('entry', entry);
+}
+
+/**
+ * Append process or server output ('stdout', 'stderr' or 'system') to the console log
+ */
+function appendConsole(emulator, type, data) {
+    pushConsoleEntry(emulator, { type, data });
+}
+
+/**
+ * Record a lifecycle event (running, paused, stopped, ...) in the console log
+ */
+function appendLifecycle(emulator, event, data) {
+    pushConsoleEntry(emulator, {
+        type: 'lifecycle',
+        event,
+        state: emulator.state,
+        paused: emulator.paused,
+        data
+    });
+}
+
+/**
+ * Write serial console input to the QEMU process (-serial stdio).
+ * Returns an error message, or null when the input was written.
+ */
+function writeConsoleInput(emulator, data) {
+    if (typeof data !== 'string' || data.length === 0) {
+        return 'Input must be a non-empty string';
+    }
+    if (data.length > MAX_CONSOLE_INPUT_LENGTH) {
+        return `Input must be at most ${MAX_CONSOLE_INPUT_LENGTH} characters`;
+    }
+    if (emulator.state !== 'running') {
+        return 'Emulator is not running';
+    }
+    if (!emulator.process?.stdin?.writable) {
+        return 'Serial console input is not available for this session';
+    }
+    
+    emulator.process.stdin.write(data);
+    return null;
+}
+
+/**
+ * Get the console entries starting at a sequence number
+ */
+function getConsoleEntries(log, offset) {
+    return log.entries.filter(entry => entry.seq >= offset);
+}
+
+/**
+ * Render console entries as plain text (stderr prefixed) for the polling API
+ */
+function renderConsoleText(entries) {
+    return entries.map(entry => (entry.type === 'stderr' ? `ERROR: ${entry.data}` : entry.data)).join('');
+}
+
+/**
+ * Setup process event handlers
+ */
+function setupProcessHandlers(process, emulatorId, config) {
+    if (!process) return;
+    
+    const emulator = emulators.get(emulatorId);
+    if (!emulator) return;
+    
+    process.stdout?.on('data', (data) => {
+        const output = data.toString();
+        appendConsole(emulator, 'stdout', output);
+        console.log(`[${config.browser}] ${output}`);
+    });
+    
+    process.stderr?.on('data', (data) => {
+        const output = data.toString();
+        appendConsole(emulator, 'stderr', output);
+        console.error(`[${config.browser}] ERROR: ${output}`);
+    });
+    
+    // Serial console input can race with the process exiting
+    process.stdin?.on('error', (error) => {
+        console.error(`Serial console input error for emulator ${emulatorId}:`, error.message);
+    });
+    
+    process.on('close', (code) => {
+        console.log(`Emulator ${emulatorId} exited with code ${code}`);
+        if (emulator) {
+            emulator.state = 'stopped';
+            emulator.running = false;
+            appendLifecycle(emulator, 'stopped', `\n\nEmulator stopped (exit code: ${code})\n`);
+            releaseVnc(emulator);
+            releasePortForwards(emulator);
+            releaseTrafficProxy(emulator);
+            releaseQmp(emulator);
+            releaseDiskOverlay(emulator);
+            releaseSharedFolder(emulator);
+            persistRegistry();
+        }
+    });
+    
+    process.on('error', (error) => {
+        console.error(`Emulator ${emulatorId} error:`, error);
+        if (emulator) {
+            emulator.state = 'stopped';
+            emulator.running = false;
+            appendLifecycle(emulator, 'stopped', `\n\nError: ${error.message}\n`);
+            releaseVnc(emulator);
+            releasePortForwards(emulator);
+            releaseTrafficProxy(emulator);
+            releaseQmp(emulator);
+            releaseDiskOverlay(emulator);
+            releaseSharedFolder(emulator);
+            persistRegistry();
+        }
+    });
+}
+
+/**
+ * Close the QMP client and remove its socket when an emulator exits
+ */
+function releaseQmp(emulator) {
+    if (emulator.qmp) {
+        emulator.qmp.close();
+        emulator.qmp = null;
+    }
+    
+    if (emulator.qmpSocketPath && fs.existsSync(emulator.qmpSocketPath)) {
+        try {
+            fs.unlinkSync(emulator.qmpSocketPath);
+        } catch (err) {
+            console.error(`Failed to remove QMP socket ${emulator.qmpSocketPath}:`, err.message);
+        }
+    }
+}
+
+/**
+ * Serialize the parts of an emulator record needed to re-adopt it after a restart
+ */
+function serializeEmulator(emulator) {
+    return {
+        id: emulator.id,
+        pid: emulator.process.pid,
+        config: emulator.config,
+        browserConfig: emulator.browserConfig,
+        resources: emulator.resources,
+        clientId: emulator.clientId,
+        token: emulator.token,
+        viewTokens: Array.from(emulator.viewTokens),
+        vncPassword: emulator.vncPassword,
+        vncDisplay: emulator.vncDisplay,
+        vncPort: emulator.vncPort,
+        vncSocketPath: emulator.vncSocketPath,
+        imagePath: emulator.imagePath,
+        diskPath: emulator.diskPath,
+        sessionDisk: emulator.sessionDisk,
+        sharedFolder: emulator.sharedFolder,
+        proxyPort: emulator.trafficProxy?.port,
+        qmpSocketPath: emulator.qmpSocketPath,
+        startTime: emulator.startTime.toISOString(),
+        expiresAt: emulator.expiresAt
+    };
+}
+
+/**
+ * Write the running QEMU sessions to the state file. Simulated sessions
+ * have no process outside the server and are not recorded.
+ */
+function persistRegistry() {
+    const records = Array.from(emulators.values())
+        .filter(emulator => emulator.running && emulator.qmpSocketPath && emulator.process?.pid)
+        .map(serializeEmulator);
+    
+    // Write then rename so a crash never leaves a truncated state file;
+    // the file holds session tokens, so keep it private
+    const tempPath = `${STATE_FILE}.tmp`;
+    try {
+        fs.writeFileSync(tempPath, JSON.stringify({ emulators: records }, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, STATE_FILE);
+    } catch (err) {
+        console.error(`Failed to write emulator state to ${STATE_FILE}:`, err.message);
+    }
+}
+
+/**
+ * Check whether a process exists (EPERM means it exists but belongs to another user)
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Check that a pid still belongs to the QEMU instance that owned a QMP socket,
+ * so a reused pid is never adopted or killed
+ */
+function isEmulatorProcess(pid, qmpSocketPath) {
+    if (!isProcessAlive(pid)) {
+        return false;
+    }
+    
+    try {
+        return fs.readFileSync(`/proc/${pid}/cmdline`, 'utf8').includes(qmpSocketPath);
+    } catch {
+        // Without procfs the QMP handshake is the only check available
+        return !fs.existsSync('/proc');
+    }
+}
+
+/**
+ * Wrap a QEMU process started by a previous server instance in the subset of
+ * the ChildProcess interface the emulator code uses. There is no exit status
+ * or stdio for a process we did not spawn, so 'close' is detected by polling.
+ */
+function adoptProcess(pid) {
+    const events = new EventEmitter();
+    
+    const timer = setInterval(() => {
+        if (!isProcessAlive(pid)) {
+            clearInterval(timer);
+            events.emit('close', null);
+        }
+    }, ADOPTED_PROCESS_POLL_MS);
+    
+    return {
+        pid,
+        stdin: null,
+        stdout: null,
+        stderr: null,
+        kill: (signal) => {
+            try {
+                process.kill(pid, signal);
+            } catch (error) {
+                console.error(`Failed to signal process ${pid}:`, error.message);
+            }
+        },
+        on: (event, handler) => events.on(event, handler)
+    };
+}
+
+/**
+ * Terminate a QEMU process that could not be re-adopted, escalating to SIGKILL
+ */
+async function terminateOrphan(pid) {
+    for (const signal of ['SIGTERM', 'SIGKILL']) {
+        try {
+            process.kill(pid, signal);
+        } catch {
+            return;
+        }
+        
+        const deadline = Date.now() + KILL_TIMEOUT_MS;
+        while (Date.now() < deadline) {
+            if (!isProcessAlive(pid)) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+}
+
+/**
+ * Re-adopt a session recorded by a previous server instance, or terminate
+ * its QEMU process and remove its files if it cannot be reattached
+ */
+async function recoverEmulator(record) {
+    if (emulators.has(record.id)) {
+        return;
+    }
+    
+    if (isEmulatorProcess(record.pid, record.qmpSocketPath)) {
+        // Reserve the display and forwarded ports straight away so new sessions cannot take them
+        if (record.vncDisplay !== undefined) {
+            usedVncDisplays.add(record.vncDisplay);
+        }
+        for (const { hostPort } of record.config.portForwards || []) {
+            usedForwardPorts.add(hostPort);
+        }
+        
+        let client = null;
+        try {
+            client = await connectQmp(record.qmpSocketPath);
+            const status = await client.execute('query-status');
+            
+            const emulator = createEmulatorRecord(record.id, record.config, record.resources, record.clientId);
+            Object.assign(emulator, {
+                browserConfig: record.browserConfig,
+                token: record.token,
+                viewTokens: new Set(record.viewTokens || []),
+                vncPassword: record.vncPassword,
+                vncPasswordSet: true,
+                vncDisplay: record.vncDisplay,
+                vncPort: record.vncPort,
+                vncSocketPath: record.vncSocketPath,
+                imagePath: record.imagePath,
+                diskPath: record.diskPath,
+                sessionDisk: record.sessionDisk,
+                sharedFolder: record.sharedFolder,
+                qmpSocketPath: record.qmpSocketPath,
+                startTime: new Date(record.startTime),
+                expiresAt: record.expiresAt,
+                state: 'running',
+                running: true,
+                paused: !status.running,
+                adopted: true
+            });
+            
+            // QEMU's guest forward still points at the old proxy port
+            if (record.config.proxy) {
+                try {
+                    emulator.trafficProxy = await startTrafficProxy(record.config.proxy, record.proxyPort);
+                } catch (error) {
+                    console.error(`Could not restart the traffic proxy of emulator ${record.id} on port ${record.proxyPort}:`, error.message);
+                }
+            }
+            emulators.set(emulator.id, emulator);
+            
+            emulator.process = adoptProcess(record.pid);
+            setupProcessHandlers(emulator.process, emulator.id, emulator.config);
+            attachQmp(emulator, client);
+            
+            appendLifecycle(emulator, 'running', `Session re-adopted after a server restart (QEMU pid ${record.pid}).\nEarlier console output and serial console input are not available.\n`);
+            console.log(`Re-adopted emulator ${emulator.id} (pid ${record.pid})`);
+            return;
+        } catch (error) {
+            console.error(`Could not reattach emulator ${record.id}, terminating pid ${record.pid}:`, error.message);
+            client?.close();
+            await terminateOrphan(record.pid);
+            if (record.vncDisplay !== undefined) {
+                releaseVncDisplay(record.vncDisplay);
+            }
+            releasePortForwards(record);
+        }
+    } else {
+        console.log(`Emulator ${record.id} is no longer running, cleaning up`);
+    }
+    
+    removeFileIfExists(record.qmpSocketPath);
+    if (record.vncSocketPath) {
+        removeFileIfExists(record.vncSocketPath);
+    }
+    if (record.diskPath && !record.sessionDisk) {
+        removeFileIfExists(record.diskPath);
+    }
+    releaseSharedFolder(record);
+}
+
+/**
+ * Reconcile the state file left by a previous server instance
+ */
+async function recoverEmulators() {
+    let records;
+    try {
+        records = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')).emulators || [];
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`Failed to read emulator state from ${STATE_FILE}:`, error.message);
+        }
+        return;
+    }
+    
+    await Promise.all(records.map(record => recoverEmulator(record).catch((error) => {
+        console.error(`Failed to recover emulator ${record.id}:`, error.message);
+    })));
+    persistRegistry();
+}
+
+/**
+ * Generate startup message
+ */
+function generateStartupMessage(config, resources, browserConfig, imagePath, vncAddress) {
+    const ram = config.ram === 'unlimited' ? `Unlimited (${resources.ramGb} GB)` : `${config.ram} GB`;
+    const vram = config.vram === '1024' ? '1 GB' : `${config.vram} MB`;
+    const imageInfo = imagePath ? `\nDisk Image: ${path.basename(imagePath)}` : '\nDisk Image: None (simulation mode)';
+    const versionInfo = browserConfig.version ? `\nImage Version: ${browserConfig.version}` : '';
+    const diskInfo = config.sessionDisk
+        ? `\nSession Disk: ${config.sessionDisk} (persistent)`
+        : '\nSession Disk: Temporary overlay (discarded on stop)';
+    const snapshotInfo = config.snapshot ? `\nSnapshot: ${config.snapshot}` : '';
+    const recordInfo = config.record ? '\nRecording: VNC display' : '';
+    const sharedFolderInfo = config.sharedFolder ? `\nShared Folder: virtio-9p, mount tag ${SHARED_FOLDER_MOUNT_TAG}` : '';
+    const networkInfo = `\nNetwork: ${describeNetwork(config)}`;
+    const vncInfo = `\nVNC Server: ${vncAddress}`;
+    
+    return `
+===========================================
+  Browser IG - QEMU Emulator
+===========================================
+Browser: ${browserConfig.name}
+Description: ${browserConfig.description}
+RAM: ${ram}
+VRAM: ${vram}${imageInfo}${versionInfo}${diskInfo}${snapshotInfo}${recordInfo}${sharedFolderInfo}${networkInfo}${vncInfo}
+===========================================
+
+Initializing emulator...
+`;
+}
+
+/**
+ * Parse a Cookie header into a name -> value object, skipping values that
+ * aren't valid percent-encoding
+ */
+function parseCookies(header) {
+    const cookies = {};
+    
+    for (const part of (header || '').split(';')) {
+        const index = part.indexOf('=');
+        if (index > 0) {
+            try {
+                cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+            } catch {
+                // Not one of our cookies
+            }
+        }
+    }
+    
+    return cookies;
+}
+
+/**
+ * Compare two secrets in constant time
+ */
+function secretsMatch(provided, expected) {
+    if (typeof provided !== 'string' || typeof expected !== 'string') {
+        return false;
+    }
+    
+    const a = crypto.createHash('sha256').update(provided).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Hash a session token for storage outside the in-memory registry
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Check whether a request (HTTP or WebSocket upgrade) carries the admin key
+ */
+function isAdminRequest(request) {
+    return !!ADMIN_KEY && secretsMatch(request.headers['x-admin-key'], ADMIN_KEY);
+}
+
+/**
+ * Get the session tokens presented by a request for an emulator, from the
+ * X-Session-Token header, the ?token= query parameter and the emulator's cookie
+ */
+function getPresentedTokens(request, emulatorId) {
+    const query = new URL(request.url, 'http://localhost').searchParams;
+    const cookies = parseCookies(request.headers.cookie);
+    
+    return [
+        request.headers[SESSION_TOKEN_HEADER],
+        query.get('token'),
+        cookies[`${SESSION_TOKEN_COOKIE_PREFIX}${emulatorId}`]
+    ].filter(Boolean);
+}
+
+/**
+ * Check the caller's access to an emulator. Returns { role } if access is
+ * granted - 'owner' for the session token or admin key, 'viewer' for a
+ * view-only share token - otherwise { status, error }.
+ */
+function checkSessionAccess(request, emulator) {
+    if (isAdminRequest(request)) {
+        return { role: 'owner' };
+    }
+    
+    const tokens = getPresentedTokens(request, emulator.id);
+    if (tokens.length === 0) {
+        return { status: 401, error: 'Session token required' };
+    }
+    
+    if (tokens.some(token => secretsMatch(token, emulator.token))) {
+        return { role: 'owner' };
+    }
+    
+    const viewTokens = Array.from(emulator.viewTokens);
+    if (tokens.some(token => viewTokens.some(viewToken => secretsMatch(token, viewToken)))) {
+        return { role: 'viewer' };
+    }
+    
+    return { status: 403, error: 'Invalid session token' };
+}
+
+/**
+ * Require the session token (or admin key) on every route with an emulator :id.
+ * View-only share tokens only grant GET requests. Unknown IDs are passed
+ * through so the route answers with its own 404.
+ */
+app.param('id', (req, res, next, id) => {
+    const emulator = emulators.get(id);
+    if (!emulator) {
+        return next();
+    }
+    
+    const access = checkSessionAccess(req, emulator);
+    if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+    }
+    
+    if (access.role === 'viewer' && req.method !== 'GET') {
+        return res.status(403).json({ error: 'View-only access' });
+    }
+    
+    req.sessionRole = access.role;
+    next();
+});
+
+/**
+ * Validate a request body against a schema of field rules:
+ * { type, required, label, pattern, patternMessage, check(value, body) }.
+ * Fields not in the schema are rejected. Returns a list of
+ * { field, code, message } errors, empty if the body is valid.
+ */
+function validateRequest(schema, body) {
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ field: null, code: 'invalid_body', message: 'Request body must be a JSON object' }];
+    }
+    
+    const errors = [];
+    
+    for (const field of Object.keys(body)) {
+        if (!schema[field]) {
+            errors.push({ field, code: 'unknown_field', message: `Unknown field "${field}"` });
+        }
+    }
+    
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+        
+        if (value === undefined) {
+            if (rule.required) {
+                errors.push({ field, code: 'required', message: `${rule.label} is required` });
+            }
+            continue;
+        }
+        
+        if ((Array.isArray(value) ? 'array' : typeof value) !== rule.type) {
+            errors.push({ field, code: 'invalid_type', message: `${rule.label} must be ${rule.type === 'array' ? 'an' : 'a'} ${rule.type}` });
+            continue;
+        }
+        
+        if (rule.pattern && !rule.pattern.test(value)) {
+            errors.push({ field, code: 'invalid_format', message: `${rule.label} ${rule.patternMessage}` });
+            continue;
+        }
+        
+        const error = rule.check ? rule.check(value, body) : null;
+        if (error) {
+            errors.push({ field, code: error.code, message: `${rule.label} ${error.message}` });
+        }
+    }
+    
+    return errors;
+}
+
+/**
+ * Middleware rejecting requests whose body doesn't match the schema with a
+ * 400 listing every error (error repeats the first message for simple clients)
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        const errors = validateRequest(schema, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors[0].message, errors });
+        }
+        next();
+    };
+}
+
+/**
+ * Check a RAM/VRAM choice against its range and the sizes the catalog allows for the browser
+ */
+function checkSizeOption(value, browser, key, range, unit) {
+    const rangeError = checkSize(value, range, unit, key === 'ram');
+    if (rangeError) {
+        return rangeError;
+    }
+    
+    // The browser field reports its own error if it is invalid
+    const options = browserConfigs[browser]?.qemu[`${key}Options`];
+    if (options && !options.includes(value)) {
+        return { code: 'not_allowed', message: `must be one of ${options.join(', ')} for ${browserConfigs[browser].name}` };
+    }
+    
+    return null;
+}
+
+/**
+ * Check a network mode against the modes the catalog allows for the browser
+ */
+function checkNetworkOption(value, browser) {
+    if (!NETWORK_MODES.includes(value)) {
+        return { code: 'not_allowed', message: `must be one of ${NETWORK_MODES.join(', ')}` };
+    }
+    
+    const options = browserConfigs[browser]?.qemu.networkOptions;
+    if (options && !options.includes(value)) {
+        return { code: 'not_allowed', message: `must be one of ${options.join(', ')} for ${browserConfigs[browser].name}` };
+    }
+    
+    return null;
+}
+
+/**
+ * Check a list of { hostPort, guestPort } TCP port forwards
+ */
+function checkPortForwards(value, body) {
+    const network = body.network || browserConfigs[body.browser]?.qemu.network;
+    if (network === 'offline') {
+        return { code: 'requires_field', message: 'require the nat or restricted network mode' };
+    }
+    
+    if (value.length > MAX_PORT_FORWARDS) {
+        return { code: 'out_of_range', message: `may contain at most ${MAX_PORT_FORWARDS} entries` };
+    }
+    
+    const isPort = (port, min, max) => Number.isInteger(port) && port >= min && port <= max;
+    const hostPorts = new Set();
+    
+    for (const forward of value) {
+        if (!forward || typeof forward !== 'object' || Object.keys(forward).some(key => key !== 'hostPort' && key !== 'guestPort') ||
+            !isPort(forward.hostPort, PORT_FORWARD_RANGE.min, PORT_FORWARD_RANGE.max) || !isPort(forward.guestPort, 1, 65535)) {
+            return {
+                code: 'invalid_format',
+                message: `must be { "hostPort", "guestPort" } entries with host ports ${PORT_FORWARD_RANGE.min}-${PORT_FORWARD_RANGE.max} and guest ports 1-65535`
+            };
+        }
+        
+        if (hostPorts.has(forward.hostPort)) {
+            return { code: 'duplicate', message: `use host port ${forward.hostPort} more than once` };
+        }
+        hostPorts.add(forward.hostPort);
+    }
+    
+    return null;
+}
+
+/**
+ * Check the traffic proxy option against the session's network mode. The
+ * proxy gives the guest a way out to the internet, so it is only available
+ * in nat mode, and only for browsers whose catalog entry allows nat.
+ */
+function checkProxyOption(value, body) {
+    if (!value) {
+        return null;
+    }
+    
+    const qemu = browserConfigs[body.browser]?.qemu;
+    const network = body.network || qemu?.network;
+    if (qemu?.networkOptions && !qemu.networkOptions.includes('nat')) {
+        return { code: 'not_allowed', message: `is not available for ${browserConfigs[body.browser].name}, whose network options don't include nat` };
+    }
+    if (network !== 'nat') {
+        return { code: 'requires_field', message: 'requires the nat network mode' };
+    }
+    
+    return null;
+}
+
+/**
+ * Check a traffic proxy allow or deny list of domains like "example.com" or "*.example.com"
+ */
+function checkDomainList(value, body) {
+    if (!body.proxy) {
+        return { code: 'requires_field', message: 'require the traffic proxy' };
+    }
+    
+    if (value.length > MAX_PROXY_DOMAINS) {
+        return { code: 'out_of_range', message: `may contain at most ${MAX_PROXY_DOMAINS} entries` };
+    }
+    
+    if (value.some(domain => typeof domain !== 'string' || domain.length > 253 || !PROXY_DOMAIN_PATTERN.test(domain))) {
+        return { code: 'invalid_format', message: 'must be domain names like "example.com" or "*.example.com"' };
+    }
+    
+    return null;
+}
+
+/**
+ * Normalise a domain list for the traffic policy: "*.example.com" matches the
+ * same hosts as "example.com"
+ */
+function normalizeDomains(domains = []) {
+    return Array.from(new Set(domains.map(domain => domain.toLowerCase().replace(/^\*\./, ''))));
+}
+
+const NAME_PATTERN_MESSAGE = 'may only contain letters, numbers, "-" and "_"';
+
+// Request body schemas
+const startEmulatorSchema = {
+    browser: {
+        type: 'string',
+        required: true,
+        label: 'Browser',
+        check: (value) => (browserConfigs[value] ? null : { code: 'not_allowed', message: `"${value}" is not in the catalog` })
+    },
+    ram: {
+        type: 'string',
+        label: 'RAM',
+        check: (value, body) => checkSizeOption(value, body.browser, 'ram', RAM_RANGE_GB, 'GB')
+    },
+    vram: {
+        type: 'string',
+        label: 'VRAM',
+        check: (value, body) => checkSizeOption(value, body.browser, 'vram', VRAM_RANGE_MB, 'MB')
+    },
+    sessionDisk: {
+        type: 'string',
+        label: 'Session disk name',
+        pattern: SESSION_DISK_NAME_PATTERN,
+        patternMessage: NAME_PATTERN_MESSAGE
+    },
+    snapshot: {
+        type: 'string',
+        label: 'Snapshot',
+        pattern: SNAPSHOT_NAME_PATTERN,
+        patternMessage: NAME_PATTERN_MESSAGE,
+        // Snapshots live inside the session disk, so only persistent disks can be booted from one
+        check: (value, body) => (body.sessionDisk ? null : { code: 'requires_field', message: 'requires a persistent session disk' })
+    },
+    record: {
+        type: 'boolean',
+        label: 'Record'
+    },
+    sharedFolder: {
+        type: 'boolean',
+        label: 'Shared folder'
+    },
+    network: {
+        type: 'string',
+        label: 'Network',
+        check: (value, body) => checkNetworkOption(value, body.browser)
+    },
+    portForwards: {
+        type: 'array',
+        label: 'Port forwards',
+        check: checkPortForwards
+    },
+    proxy: {
+        type: 'boolean',
+        label: 'Traffic proxy',
+        check: checkProxyOption
+    },
+    allowDomains: {
+        type: 'array',
+        label: 'Allowed domains',
+        check: checkDomainList
+    },
+    denyDomains: {
+        type: 'array',
+        label: 'Denied domains',
+        check: checkDomainList
+    }
+};
+
+const saveSnapshotSchema = {
+    name: {
+        type: 'string',
+        required: true,
+        label: 'Snapshot name',
+        pattern: SNAPSHOT_NAME_PATTERN,
+        patternMessage: NAME_PATTERN_MESSAGE
+    }
+};
+
+const controlSchema = {
+    viewer: {
+        type: 'string',
+        required: true,
+        label: 'Viewer ID',
+        pattern: VIEWER_ID_PATTERN,
+        patternMessage: NAME_PATTERN_MESSAGE
+    },
+    secret: {
+        type: 'string',
+        required: true,
+        label: 'Viewer secret'
+    }
+};
+
+const grantControlSchema = {
+    ...controlSchema,
+    to: {
+        type: 'string',
+        required: true,
+        label: 'Viewer to grant control to',
+        pattern: VIEWER_ID_PATTERN,
+        patternMessage: NAME_PATTERN_MESSAGE
+    }
+};
+
+// Routes that take no parameters in the body
+const emptySchema = {};
+
+// API Routes
+
+/**
+ * List the browser image catalog
+ */
+app.get('/api/browsers', (req, res) => {
+    const browsers = Object.values(browserConfigs).map(b => ({
+        id: b.id,
+        name: b.name,
+        description: b.description,
+        icon: b.icon,
+        version: b.version,
+        size: b.size,
+        sha256: b.sha256,
+        // Without a URL or a cached image the browser only runs in simulation mode
+        downloadable: !!b.imageUrl,
+        cached: fs.existsSync(getImagePath(b)),
+        defaults: {
+            ram: b.qemu.ram,
+            vram: b.qemu.vram,
+            smp: b.qemu.smp,
+            network: b.qemu.network
+        },
+        options: {
+            ram: b.qemu.ramOptions,
+            vram: b.qemu.vramOptions,
+            network: b.qemu.networkOptions
+        }
+    }));
+    
+    res.json({ browsers });
+});
+
+/**
+ * Image provisioning job progress
+ */
+app.get('/api/provisioning/:jobId', (req, res) => {
+    const job = provisioningJobs.get(req.params.jobId);
+    
+    if (!job) {
+        return res.status(404).json({ error: 'Provisioning job not found' });
+    }
+    
+    res.json(formatProvisioningJob(job));
+});
+
+/**
+ * Start emulator endpoint
+ */
+app.post('/api/start-emulator', validateBody(startEmulatorSchema), async (req, res) => {
+    if (shuttingDown) {
+        return res.status(503).json({ error: 'Server is shutting down' });
+    }
+    
+    try {
+        const { browser, sessionDisk, snapshot, record, sharedFolder, portForwards, proxy, allowDomains, denyDomains } = req.body;
+        
+        // Fall back to the catalog's per-image defaults
+        const ram = req.body.ram || browserConfigs[browser].qemu.ram;
+        const vram = req.body.vram || browserConfigs[browser].qemu.vram;
+        const network = req.body.network || browserConfigs[browser].qemu.network;
+        
+        // Start the emulator
+        const config = { browser, ram, vram, network };
+        if (sessionDisk) {
+            config.sessionDisk = sessionDisk;
+        }
+        if (snapshot) {
+            config.snapshot = snapshot;
+        }
+        if (record) {
+            config.record = true;
+        }
+        if (sharedFolder) {
+            config.sharedFolder = true;
+        }
+        if (portForwards?.length) {
+            config.portForwards = portForwards.map(({ hostPort, guestPort }) => ({ hostPort, guestPort }));
+        }
+        if (proxy) {
+            config.proxy = { allowDomains: normalizeDomains(allowDomains), denyDomains: normalizeDomains(denyDomains) };
+        }
+        
+        // Reserve the VNC and forwarded ports and start the traffic proxy first:
+        // the disk and admission checks and the registration below must not be
+        // separated by an await, or concurrent starts could both pass them
+        let vncDisplay;
+        if (VNC_TRANSPORT === 'tcp') {
+            vncDisplay = await allocateVncDisplay();
+            if (vncDisplay === null) {
+                return res.status(503).json({
+                    error: `No free VNC port in ${VNC_PORT_RANGE.min}-${VNC_PORT_RANGE.max}`,
+                    budget: 'vnc_ports'
+                });
+            }
+        }
+        
+        const forwardError = await reservePortForwards(config.portForwards || []);
+        if (forwardError) {
+            releaseVncDisplay(vncDisplay);
+            return res.status(409).json({ error: forwardError });
+        }
+        
+        let trafficProxy = null;
+        if (config.proxy) {
+            try {
+                trafficProxy = await startTrafficProxy(config.proxy);
+            } catch (error) {
+                releaseVncDisplay(vncDisplay);
+                releasePortForwards({ config });
+                throw error;
+            }
+        }
+        
+        // Undo the reservations above when the start is refused
+        const releaseReservations = () => {
+            releaseVncDisplay(vncDisplay);
+            releasePortForwards({ config });
+            releaseTrafficProxy({ trafficProxy });
+        };
+        
+        // Existing session disks can only be booted by their owner
+        const newSessionDisk = sessionDisk && !sessionDiskExists(browser, sessionDisk);
+        if (sessionDisk && !newSessionDisk) {
+            const denied = checkSessionDiskAccess(req, browser, sessionDisk);
+            if (denied) {
+                releaseReservations();
+                return res.status(denied.status).json({ error: denied.error });
+            }
+        }
+        
+        // Two emulators writing to one qcow2 file would corrupt it
+        if (sessionDisk && findEmulatorUsingDisk(getSessionDiskPath(browser, sessionDisk))) {
+            releaseReservations();
+            return res.status(409).json({ error: `Session disk "${sessionDisk}" is already in use` });
+        }
+        
+        if (snapshot !== undefined) {
+            const diskSnapshots = listDiskSnapshots(getSessionDiskPath(browser, sessionDisk));
+            if (!diskSnapshots.some(s => s.name === snapshot)) {
+                releaseReservations();
+                return res.status(404).json({ error: `Snapshot "${snapshot}" not found on session disk "${sessionDisk}"` });
+            }
+        }
+        
+        // Admission control against the host and per-client budgets
+        const resources = getResourceRequest(config);
+        const rejection = checkAdmission(resources, req.ip, isAdminRequest(req));
+        if (rejection) {
+            releaseReservations();
+            const { status, message, ...budget } = rejection;
+            return res.status(status).json({ error: message, ...budget });
+        }
+        
+        // Claimed only once the start is accepted, so a refused start doesn't
+        // lock the name with a key nobody received
+        const diskKey = newSessionDisk ? claimSessionDisk(browser, sessionDisk) : undefined;
+        if (diskKey) {
+            res.cookie(`${DISK_KEY_COOKIE_PREFIX}${browser}.${sessionDisk}`, diskKey, {
+                httpOnly: true,
+                sameSite: 'strict',
+                secure: req.secure,
+                maxAge: DISK_KEY_COOKIE_MAX_AGE_SECONDS * 1000
+            });
+        }
+        
+        const result = startQemuEmulator(config, resources, req.ip, vncDisplay, trafficProxy);
+        
+        // Browsers send the cookie on the WebSocket upgrades and keepalive stop request
+        res.cookie(`${SESSION_TOKEN_COOKIE_PREFIX}${result.emulatorId}`, result.token, {
+            httpOnly: true,
+            sameSite: 'strict',
+            secure: req.secure,
+            maxAge: SESSION_TOKEN_COOKIE_MAX_AGE_SECONDS * 1000
+        });
+        
+        res.json({
+            success: true,
+            emulatorId: result.emulatorId,
+            state: result.state,
+            jobId: result.jobId,
+            output: result.output,
+            vncPort: result.vncPort,
+            hasImage: result.hasImage,
+            sessionDisk: result.sessionDisk,
+            diskKey,
+            token: result.token,
+            vncPassword: result.vncPassword
+        });
+        
+    } catch (error) {
+        console.error('Error in start-emulator:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get emulator status endpoint
+ */
+app.get('/api/emulator-status/:id', (req, res) => {
+    const emulatorId = req.params.id;
+    const emulator = emulators.get(emulatorId);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    // Each caller tracks its own position with ?offset=<nextOffset>, so
+    // several viewers can poll the same emulator without stealing output
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const newOutput = renderConsoleText(getConsoleEntries(emulator.consoleLog, offset));
+    
+    const job = emulator.provisioningJobId ? provisioningJobs.get(emulator.provisioningJobId) : null;
+    
+    res.json({
+        state: emulator.state,
+        running: emulator.running,
+        paused: emulator.paused,
+        hasImage: !!emulator.imagePath,
+        provisioning: job ? formatProvisioningJob(job) : null,
+        output: newOutput,
+        nextOffset: emulator.consoleLog.nextSeq,
+        config: emulator.config,
+        resources: {
+            ramGb: emulator.resources.ramGb,
+            vramMb: emulator.resources.vramMb,
+            vcpus: emulator.resources.vcpus
+        },
+        uptime: Math.floor((new Date() - emulator.startTime) / 1000),
+        expiresIn: formatExpiry(emulator).expiresIn,
+        role: req.sessionRole,
+        // The VNC proxy authenticates view-only viewers itself
+        vncPassword: req.sessionRole === 'viewer' ? undefined : emulator.vncPassword,
+        vncPort: emulator.vncPort
+    });
+});
+
+/**
+ * Stop emulator endpoint
+ */
+app.post('/api/stop-emulator/:id', validateBody(emptySchema), async (req, res) => {
+    const emulatorId = req.params.id;
+    const emulator = emulators.get(emulatorId);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    try {
+        const method = await stopEmulator(emulator);
+        
+        res.clearCookie(`${SESSION_TOKEN_COOKIE_PREFIX}${emulatorId}`);
+        res.json({ success: true, message: 'Emulator stopped', method });
+        
+    } catch (error) {
+        console.error('Error stopping emulator:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// QMP commands behind the per-emulator power control routes
+const qmpActions = {
+    pause: { command: 'stop', message: 'Emulator paused' },
+    resume: { command: 'cont', message: 'Emulator resumed' },
+    reset: { command: 'system_reset', message: 'Emulator reset' },
+    powerdown: { command: 'system_powerdown', message: 'ACPI power-down requested' }
+};
+
+/**
+ * Power control endpoints (pause, resume, reset, powerdown) via QMP
+ */
+app.post('/api/emulators/:id/:action(pause|resume|reset|powerdown)', validateBody(emptySchema), async (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    const action = qmpActions[req.params.action];
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    if (!emulator.running) {
+        return res.status(409).json({ error: 'Emulator is not running' });
+    }
+    
+    if (!emulator.qmp) {
+        return res.status(503).json({ error: 'QMP control channel not available' });
+    }
+    
+    try {
+        await emulator.qmp.execute(action.command);
+        
+        // Don't wait for the STOP/RESUME event to report the new state
+        if (action.command === 'stop') {
+            emulator.paused = true;
+        } else if (action.command === 'cont') {
+            emulator.paused = false;
+        }
+        
+        res.json({ success: true, message: action.message, paused: emulator.paused });
+        
+    } catch (error) {
+        console.error(`Error running ${req.params.action} on emulator ${emulator.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Mint a view-only share token. Its holder can watch the display and console
+ * but not send input or control the session.
+ */
+app.post('/api/emulators/:id/share', validateBody(emptySchema), (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    if (emulator.state === 'stopped' || emulator.stopPromise) {
+        return res.status(409).json({ error: 'Emulator is not running' });
+    }
+    
+    const token = crypto.randomBytes(32).toString('base64url');
+    emulator.viewTokens.add(token);
+    persistRegistry();
+    
+    res.json({
+        success: true,
+        token,
+        url: `/emulator.html?id=${emulator.id}&token=${token}`
+    });
+});
+
+/**
+ * Revoke every view-only share token and disconnect their viewers
+ */
+app.delete('/api/emulators/:id/share', (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    const revoked = emulator.viewTokens.size;
+    emulator.viewTokens.clear();
+    persistRegistry();
+    
+    for (const ws of [...emulator.vncClients, ...emulator.consoleClients]) {
+        if (ws.viewOnly) {
+            ws.close(1008, 'Share link revoked');
+        }
+    }
+    
+    res.json({ success: true, revoked });
+});
+
+/**
+ * Register a viewer for control handoff. The page passes the returned ID and
+ * secret on its /vnc connection and proves it is that viewer with the secret
+ * on the control routes; viewer IDs are broadcast, secrets never are.
+ */
+app.post('/api/emulators/:id/viewers', validateBody(emptySchema), (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    const viewer = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+    emulator.viewerSecrets.set(viewer, { secret, idleSince: Date.now() });
+    
+    res.json({ success: true, viewer, secret });
+});
+
+/**
+ * Check that a viewer ID was issued by this server together with the secret
+ */
+function isViewerSecretValid(emulator, viewer, secret) {
+    return emulator.viewerSecrets.has(viewer) && secretsMatch(secret, emulator.viewerSecrets.get(viewer).secret);
+}
+
+/**
+ * Look up the emulator for a control handoff route and check that the calling
+ * viewer holds its secret and is connected to the display, sending the error
+ * response and returning null otherwise
+ */
+function getControlEmulator(req, res) {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        res.status(404).json({ error: 'Emulator not found' });
+        return null;
+    }
+    
+    if (!isViewerSecretValid(emulator, req.body.viewer, req.body.secret)) {
+        res.status(403).json({ error: 'Invalid viewer secret' });
+        return null;
+    }
+    
+    if (!getInteractiveViewers(emulator).some(viewer => viewer.id === req.body.viewer)) {
+        res.status(409).json({ error: 'Viewer is not connected to the display' });
+        return null;
+    }
+    
+    return emulator;
+}
+
+/**
+ * Ask for control of the display. Taken immediately if nobody is in control,
+ * otherwise queued until the driver grants or releases it.
+ */
+app.post('/api/emulators/:id/control/request', validateBody(controlSchema), (req, res) => {
+    const emulator = getControlEmulator(req, res);
+    if (!emulator) return;
+    
+    const { viewer } = req.body;
+    if (emulator.driver === null) {
+        emulator.driver = viewer;
+    } else if (emulator.driver !== viewer && !emulator.controlRequests.includes(viewer)) {
+        emulator.controlRequests.push(viewer);
+    }
+    
+    const control = formatControl(emulator);
+    broadcastToConsole(emulator, control);
+    res.json({ success: true, driver: control.driver, requests: control.requests });
+});
+
+/**
+ * Give up control (or withdraw a pending request). Control passes to the
+ * longest-waiting requester, if any.
+ */
+app.post('/api/emulators/:id/control/release', validateBody(controlSchema), (req, res) => {
+    const emulator = getControlEmulator(req, res);
+    if (!emulator) return;
+    
+    const { viewer } = req.body;
+    emulator.controlRequests = emulator.controlRequests.filter(id => id !== viewer);
+    if (emulator.driver === viewer) {
+        handOffControl(emulator);
+    }
+    
+    const control = formatControl(emulator);
+    broadcastToConsole(emulator, control);
+    res.json({ success: true, driver: control.driver, requests: control.requests });
+});
+
+/**
+ * Hand control to another connected viewer; only the driver can do this
+ */
+app.post('/api/emulators/:id/control/grant', validateBody(grantControlSchema), (req, res) => {
+    const emulator = getControlEmulator(req, res);
+    if (!emulator) return;
+    
+    const { viewer, to } = req.body;
+    if (emulator.driver !== viewer) {
+        return res.status(409).json({ error: 'Only the viewer in control can grant control' });
+    }
+    if (!getInteractiveViewers(emulator).some(candidate => candidate.id === to)) {
+        return res.status(404).json({ error: 'Viewer to grant control to is not connected' });
+    }
+    
+    emulator.driver = to;
+    emulator.controlRequests = emulator.controlRequests.filter(id => id !== to);
+    
+    const control = formatControl(emulator);
+    broadcastToConsole(emulator, control);
+    res.json({ success: true, driver: control.driver, requests: control.requests });
+});
+
+/**
+ * Called by the emulator page when it is closed or reloaded: stop the session
+ * unless a viewer connects again within the grace period
+ */
+app.post('/api/emulators/:id/detach', validateBody(emptySchema), (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    emulator.detachDeadline = Date.now() + SESSION_DETACH_GRACE_MS;
+    
+    res.json({ success: true, graceSeconds: SESSION_DETACH_GRACE_MS / 1000 });
+});
+
+/**
+ * Push back the end of a session's lifetime
+ */
+app.post('/api/emulators/:id/extend', validateBody(emptySchema), (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    if (emulator.state === 'stopped' || emulator.stopPromise) {
+        return res.status(409).json({ error: 'Emulator is not running' });
+    }
+    
+    emulator.expiresAt = Math.max(emulator.expiresAt, Date.now() + SESSION_EXTENSION_MS);
+    emulator.expiryWarned = emulator.expiresAt - Date.now() <= SESSION_WARNING_MS;
+    persistRegistry();
+    
+    // Every open emulator page updates its countdown
+    const expiry = formatExpiry(emulator);
+    broadcastToConsole(emulator, expiry);
+    
+    res.json({ success: true, message: 'Session extended', expiresIn: expiry.expiresIn });
+});
+
+/**
+ * Look up a running emulator with a QMP channel for the snapshot routes,
+ * sending the error response and returning null if there isn't one
+ */
+function getSnapshotTarget(req, res) {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        res.status(404).json({ error: 'Emulator not found' });
+        return null;
+    }
+    
+    if (!emulator.running) {
+        res.status(409).json({ error: 'Emulator is not running' });
+        return null;
+    }
+    
+    if (!emulator.qmp) {
+        res.status(503).json({ error: 'QMP control channel not available' });
+        return null;
+    }
+    
+    if (req.params.name !== undefined && !SNAPSHOT_NAME_PATTERN.test(req.params.name)) {
+        res.status(400).json({ error: 'Invalid snapshot name' });
+        return null;
+    }
+    
+    return emulator;
+}
+
+/**
+ * List VM snapshots of an emulator
+ */
+app.get('/api/emulators/:id/snapshots', async (req, res) => {
+    const emulator = getSnapshotTarget(req, res);
+    if (!emulator) return;
+    
+    try {
+        const snapshots = await listEmulatorSnapshots(emulator);
+        res.json({ snapshots, persistent: !!emulator.sessionDisk });
+    } catch (error) {
+        console.error(`Error listing snapshots of emulator ${emulator.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Save the full VM state (RAM + disk) as a named snapshot
+ */
+app.post('/api/emulators/:id/snapshots', validateBody(saveSnapshotSchema), async (req, res) => {
+    const emulator = getSnapshotTarget(req, res);
+    if (!emulator) return;
+    
+    const { name } = req.body;
+    
+    try {
+        // savevm would silently overwrite an existing snapshot with the same name
+        const existing = await listEmulatorSnapshots(emulator);
+        if (existing.some(s => s.name === name)) {
+            return res.status(409).json({ error: `Snapshot "${name}" already exists` });
+        }
+        
+        await runSnapshotCommand(emulator, 'savevm', name);
+        const snapshot = (await listEmulatorSnapshots(emulator)).find(s => s.name === name);
+        
+        res.status(201).json({ success: true, message: 'Snapshot saved', snapshot });
+    } catch (error) {
+        console.error(`Error saving snapshot of emulator ${emulator.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Restore a named snapshot into the running emulator
+ */
+app.post('/api/emulators/:id/snapshots/:name/restore', validateBody(emptySchema), async (req, res) => {
+    const emulator = getSnapshotTarget(req, res);
+    if (!emulator) return;
+    
+    try {
+        const snapshots = await listEmulatorSnapshots(emulator);
+        if (!snapshots.some(s => s.name === req.params.name)) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        
+        await runSnapshotCommand(emulator, 'loadvm', req.params.name);
+        appendConsole(emulator, 'system', `\n[Snapshot ${req.params.name} restored]\n`);
+        
+        res.json({ success: true, message: 'Snapshot restored' });
+    } catch (error) {
+        console.error(`Error restoring snapshot of emulator ${emulator.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a named snapshot
+ */
+app.delete('/api/emulators/:id/snapshots/:name', async (req, res) => {
+    const emulator = getSnapshotTarget(req, res);
+    if (!emulator) return;
+    
+    try {
+        const snapshots = await listEmulatorSnapshots(emulator);
+        if (!snapshots.some(s => s.name === req.params.name)) {
+            return res.status(404).json({ error: 'Snapshot not found' });
+        }
+        
+        await runSnapshotCommand(emulator, 'delvm', req.params.name);
+        
+        res.json({ success: true, message: 'Snapshot deleted' });
+    } catch (error) {
+        console.error(`Error deleting snapshot of emulator ${emulator.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Capture the guest display as a PNG. ?width=<px> scales it down (used for
+ * thumbnails), ?download=1 sends it as an attachment.
+ */
+app.get('/api/emulators/:id/screenshot', async (req, res) => {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        return res.status(404).json({ error: 'Emulator not found' });
+    }
+    
+    if (!emulator.running) {
+        return res.status(409).json({ error: 'Emulator is not running' });
+    }
+    
+    if (!emulator.qmp) {
+        return res.status(503).json({ error: 'QMP control channel not available' });
+    }
+    
+    let width = null;
+    if (req.query.width !== undefined) {
+        width = Number(req.query.width);
+        if (!Number.isInteger(width) || width < 1 || width > MAX_SCREENSHOT_WIDTH) {
+            return res.status(400).json({ error: `Width must be a whole number from 1 to ${MAX_SCREENSHOT_WIDTH}` });
+        }
+    }
+    
+    try {
+        const png = await captureScreenshot(emulator, width);
+        
+        if (req.query.download) {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            res.attachment(`${emulator.config.browser}-${timestamp}.png`);
+        }
+        res.set('Cache-Control', 'no-store');
+        res.type('png').send(png);
+    } catch (error) {
+        console.error(`Error capturing screenshot of emulator ${emulator.id}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Look up the shared folder of a running emulator for the file routes,
+ * sending the error response and returning null if there isn't one.
+ * Files may hold credentials or downloads, so view-only viewers can't access them.
+ */
+function getSharedFolder(req, res) {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        res.status(404).json({ error: 'Emulator not found' });
+        return null;
+    }
+    
+    if (req.sessionRole === 'viewer') {
+        res.status(403).json({ error: 'View-only access' });
+        return null;
+    }
+    
+    if (!emulator.running) {
+        res.status(409).json({ error: 'Emulator is not running' });
+        return null;
+    }
+    
+    if (!emulator.sharedFolder) {
+        res.status(409).json({ error: 'Emulator was started without a shared folder' });
+        return null;
+    }
+    
+    return emulator.sharedFolder;
+}
+
+/**
+ * List the files in an emulator's shared folder
+ */
+app.get('/api/emulators/:id/files', (req, res) => {
+    const folder = getSharedFolder(req, res);
+    if (!folder) return;
+    
+    try {
+        const files = listSharedFiles(folder).sort((a, b) => a.name.localeCompare(b.name));
+        res.json({
+            files,
+            used: files.reduce((total, file) => total + file.size, 0),
+            limit: MAX_SHARED_FOLDER_BYTES,
+            mountTag: SHARED_FOLDER_MOUNT_TAG
+        });
+    } catch (error) {
+        console.error(`Error listing shared folder ${folder}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Download a file from an emulator's shared folder, e.g. one the guest browser saved
+ */
+app.get('/api/emulators/:id/files/:name(*)', (req, res) => {
+    const folder = getSharedFolder(req, res);
+    if (!folder) return;
+    
+    const file = openSharedFile(folder, req.params.name);
+    if (!file) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    
+    // Stream from the checked descriptor, reopening the path could follow a new symlink
+    res.attachment(path.basename(file.filePath));
+    res.setHeader('Content-Length', file.size);
+    pipeline(fs.createReadStream(null, { fd: file.fd }), res).catch((error) => {
+        console.error(`Error downloading ${file.filePath}:`, error.message);
+    });
+});
+
+/**
+ * Upload a file into an emulator's shared folder. The request body is the raw
+ * file content; the name is the last path segment (no subfolders).
+ */
+app.put('/api/emulators/:id/files/:name', async (req, res) => {
+    const folder = getSharedFolder(req, res);
+    if (!folder) return;
+    
+    const { name } = req.params;
+    if (!SHARED_FILE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ error: 'Invalid file name' });
+    }
+    
+    // express.json() has already consumed a JSON body, which would leave an empty file
+    if (req.is('application/json')) {
+        return res.status(415).json({ error: 'Upload the file content as application/octet-stream' });
+    }
+    
+    let available;
+    try {
+        available = MAX_SHARED_FOLDER_BYTES - listSharedFiles(folder).reduce((total, file) => total + file.size, 0);
+    } catch (error) {
+        console.error(`Error reading shared folder ${folder}:`, error);
+        return res.status(500).json({ error: error.message });
+    }
+    
+    const tooLargeError = `Shared folder is limited to ${MAX_SHARED_FOLDER_BYTES / MIB} MB`;
+    if (parseInt(req.headers['content-length'], 10) > available) {
+        return res.status(413).json({ error: tooLargeError });
+    }
+    
+    // Write to a new hidden file first so the guest never sees a partial upload,
+    // and a symlink the guest put at the target name is replaced, not followed
+    const tempPath = path.join(folder, `.upload-${uuidv4()}`);
+    let written = 0;
+    let tooLarge = false;
+    
+    try {
+        await pipeline(req, async function* (source) {
+            for await (const chunk of source) {
+                written += chunk.length;
+                if (written > available) {
+                    tooLarge = true;
+                    throw new Error(tooLargeError);
+                }
+                yield chunk;
+            }
+        }, fs.createWriteStream(tempPath, { flags: 'wx', mode: 0o644 }));
+        
+        fs.renameSync(tempPath, path.join(folder, name));
+        console.log(`Uploaded ${name} (${written} bytes) to shared folder ${folder}`);
+        
+        res.status(201).json({
+            success: true,
+            file: { name, size: written, modified: new Date().toISOString() }
+        });
+    } catch (error) {
+        removeFileIfExists(tempPath);
+        
+        if (tooLarge) {
+            res.status(413).json({ error: tooLargeError });
+        } else if (error.code === 'EISDIR') {
+            res.status(409).json({ error: `"${name}" is a folder` });
+        } else {
+            console.error(`Error uploading ${name} to shared folder ${folder}:`, error);
+            res.status(500).json({ error: error.message });
+        }
+    }
+});
+
+/**
+ * Delete a file from an emulator's shared folder
+ */
+app.delete('/api/emulators/:id/files/:name(*)', (req, res) => {
+    const folder = getSharedFolder(req, res);
+    if (!folder) return;
+    
+    const filePath = resolveSharedFile(folder, req.params.name);
+    if (!filePath) {
+        return res.status(404).json({ error: 'File not found' });
+    }
+    
+    try {
+        fs.unlinkSync(filePath);
+        res.json({ success: true, message: 'File deleted' });
+    } catch (error) {
+        console.error(`Error deleting ${filePath}:`, error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Look up the traffic proxy of an emulator for the traffic routes, sending
+ * the error response and returning null if it has none. The log stays
+ * available after the session stops, until the emulator is removed.
+ * Like shared files, traffic may reveal credentials, so view-only viewers can't access it.
+ */
+function getTrafficProxy(req, res) {
+    const emulator = emulators.get(req.params.id);
+    
+    if (!emulator) {
+        res.status(404).json({ error: 'Emulator not found' });
+        return null;
+    }
+    
+    if (req.sessionRole === 'viewer') {
+        res.status(403).json({ error: 'View-only access' });
+        return null;
+    }
+    
+    if (!emulator.trafficProxy) {
+        res.status(409).json({ error: 'Emulator has no traffic proxy' });
+        return null;
+    }
+    
+    return emulator.trafficProxy;
+}
+
+/**
+ * List the requests made through an emulator's traffic proxy
+ */
+app.get('/api/emulators/:id/traffic', (req, res) => {
+    const proxy = getTrafficProxy(req, res);
+    if (!proxy) return;
+    
+    res.json({
+        entries: proxy.entries.map(formatTrafficEntry),
+        policy: proxy.policy,
+        guestAddress: `${PROXY_GUEST_ADDRESS}:${PROXY_GUEST_PORT}`
+    });
+});
+
+/**
+ * Export an emulator's traffic log as a HAR file
+ */
+app.get('/api/emulators/:id/traffic.har', (req, res) => {
+    const proxy = getTrafficProxy(req, res);
+    if (!proxy) return;
+    
+    const emulator = emulators.get(req.params.id);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    
+    res.attachment(`${emulator.config.browser}-${timestamp}.har`);
+    res.set('Cache-Control', 'no-store');
+    res.type('json').send(JSON.stringify({
+        log: {
+            version: '1.2',
+            creator: { name: 'browser-ig', version: PACKAGE_VERSION },
+            pages: [],
+            entries: proxy.entries.map(toHarEntry)
         }
-    };
+    }, null, 2));
+});
+
+/**
+ * List the caller's active emulators (every emulator with the admin key).
+ * ?thumbnails=1 adds a screenshot thumbnail URL to each running emulator.
+ */
+app.get('/api/emulators', (req, res) => {
+    const admin = isAdminRequest(req);
+    const headerToken = req.headers[SESSION_TOKEN_HEADER];
+    const cookies = parseCookies(req.headers.cookie);
     
-    // Simulate startup messages (only on stdout)
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from('QEMU emulator version 7.0.0 (simulation mode)\n'));
-    }, 500);
+    // Callers own the sessions whose token they present, either as the header
+    // (one session) or as the cookies set when they started them
+    const owned = Array.from(emulators.values()).filter(e => admin ||
+        secretsMatch(headerToken, e.token) ||
+        secretsMatch(cookies[`${SESSION_TOKEN_COOKIE_PREFIX}${e.id}`], e.token));
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from(`Starting ${config.browser} browser...\n`));
-    }, 1000);
+    const activeEmulators = owned.map(e => ({
+        id: e.id,
+        browser: e.config.browser,
+        ram: e.config.ram,
+        vram: e.config.vram,
+        state: e.state,
+        running: e.running,
+        paused: e.paused,
+        sessionDisk: e.sessionDisk,
+        viewers: e.vncClients.size + e.consoleClients.size,
+        uptime: Math.floor((new Date() - e.startTime) / 1000),
+        ...(req.query.thumbnails && {
+            thumbnailUrl: e.running ? `/api/emulators/${e.id}/screenshot?width=${THUMBNAIL_WIDTH}` : null
+        })
+    }));
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from('Initializing virtual hardware...\n'));
-    }, 1500);
+    res.json({ emulators: activeEmulators });
+});
+
+/**
+ * List the persistent session disks the caller owns (every disk with the admin key)
+ */
+app.get('/api/session-disks', (req, res) => {
+    try {
+        const disks = [];
+        
+        for (const entry of fs.readdirSync(SESSION_DISKS_DIR, { withFileTypes: true })) {
+            if (!entry.isDirectory()) continue;
+            
+            const browserDir = path.join(SESSION_DISKS_DIR, entry.name);
+            for (const file of fs.readdirSync(browserDir)) {
+                if (!file.endsWith('.qcow2')) continue;
+                if (checkSessionDiskAccess(req, entry.name, path.basename(file, '.qcow2'))) continue;
+                
+                const diskPath = path.join(browserDir, file);
+                const stats = fs.statSync(diskPath);
+                disks.push({
+                    browser: entry.name,
+                    name: path.basename(file, '.qcow2'),
+                    size: stats.size,
+                    modified: stats.mtime,
+                    inUse: !!findEmulatorUsingDisk(diskPath),
+                    snapshots: listDiskSnapshots(diskPath)
+                });
+            }
+        }
+        
+        res.json({ disks });
+        
+    } catch (error) {
+        console.error('Error listing session disks:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a persistent session disk
+ */
+app.delete('/api/session-disks/:browser/:name', (req, res) => {
+    const { browser, name } = req.params;
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from(`RAM: ${config.ram === 'unlimited' ? '16GB' : config.ram + 'GB'} allocated\n`));
-    }, 2000);
+    if (!CATALOG_ID_PATTERN.test(browser) || !SESSION_DISK_NAME_PATTERN.test(name)) {
+        return res.status(400).json({ error: 'Invalid session disk' });
+    }
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from(`VRAM: ${config.vram}MB allocated\n`));
-    }, 2500);
+    const diskPath = getSessionDiskPath(browser, name);
+    if (!fs.existsSync(diskPath)) {
+        return res.status(404).json({ error: 'Session disk not found' });
+    }
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from(`VNC Server: port ${vncPort} (simulation)\n`));
-    }, 3000);
+    const denied = checkSessionDiskAccess(req, browser, name);
+    if (denied) {
+        return res.status(denied.status).json({ error: denied.error });
+    }
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from(`WebSocket proxy: port ${websocketPort} (simulation)\n`));
-    }, 3500);
+    if (findEmulatorUsingDisk(diskPath)) {
+        return res.status(409).json({ error: `Session disk "${name}" is in use by a running emulator` });
+    }
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from('Browser environment ready!\n'));
-    }, 4000);
+    try {
+        fs.unlinkSync(diskPath);
+        removeFileIfExists(getSessionDiskOwnerPath(browser, name));
+        res.clearCookie(`${DISK_KEY_COOKIE_PREFIX}${browser}.${name}`);
+        res.json({ success: true, message: 'Session disk deleted' });
+    } catch (error) {
+        console.error('Error deleting session disk:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * List the VNC recordings the caller can access, newest first
+ */
+app.get('/api/recordings', (req, res) => {
+    try {
+        const recordings = fs.readdirSync(RECORDINGS_DIR)
+            .filter(file => file.endsWith('.vncrec'))
+            .map(file => readRecordingInfo(path.basename(file, '.vncrec')))
+            .filter(info => info && !checkRecordingAccess(req, info.header))
+            .map(formatRecording)
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        
+        res.json({ recordings });
+    } catch (error) {
+        console.error('Error listing recordings:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Look up a recording for the routes below and check the caller's access,
+ * sending the error response and returning null on failure
+ */
+function getAccessibleRecording(req, res) {
+    const info = RECORDING_ID_PATTERN.test(req.params.recordingId) ? readRecordingInfo(req.params.recordingId) : null;
     
-    setTimeout(() => {
-        stdoutEmitter.emit('data', Buffer.from('\n[Note: Running in simulation mode - QEMU not installed]\n'));
-    }, 4500);
+    if (!info) {
+        res.status(404).json({ error: 'Recording not found' });
+        return null;
+    }
     
-    return simulatedProcess;
+    const denied = checkRecordingAccess(req, info.header);
+    if (denied) {
+        res.status(denied.status).json({ error: denied.error });
+        return null;
+    }
+    
+    return info;
 }
 
 /**
- * Setup process event handlers
+ * Download a recording (newline-delimited JSON, see startRecording).
+ * ?download=1 sends it as an attachment.
  */
-function setupProcessHandlers(process, emulatorId, config) {
-    if (!process) return;
+app.get('/api/recordings/:recordingId', (req, res) => {
+    const info = getAccessibleRecording(req, res);
+    if (!info) return;
     
-    const emulator = emulators.get(emulatorId);
-    if (!emulator) return;
+    const filePath = getRecordingPath(info.header.id);
+    if (req.query.download) {
+        const timestamp = info.header.startedAt.replace(/[:.]/g, '-');
+        return res.download(filePath, `${info.header.browser}-${timestamp}.vncrec`);
+    }
     
-    process.stdout?.on('data', (data) => {
-        const output = data.toString();
-        emulator.outputBuffer += output;
+    res.type('application/x-ndjson');
+    res.sendFile(filePath);
+});
+
+/**
+ * Delete a finished recording
+ */
+app.delete('/api/recordings/:recordingId', (req, res) => {
+    const info = getAccessibleRecording(req, res);
+    if (!info) return;
+    
+    if (activeRecordings.has(info.header.id)) {
+        return res.status(409).json({ error: 'Recording is still in progress' });
+    }
+    
+    try {
+        fs.unlinkSync(getRecordingPath(info.header.id));
+        res.json({ success: true, message: 'Recording deleted' });
+    } catch (error) {
+        console.error('Error deleting recording:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Serve index.html for root (rate-limited by global middleware)
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+/**
+ * Check the session token of a WebSocket upgrade, answering 401/403 and
+ * closing the socket if access is denied. Returns the caller's role
+ * ('owner' or 'viewer'), or null if access is denied.
+ */
+function authorizeUpgrade(request, socket, emulator) {
+    const access = checkSessionAccess(request, emulator);
+    if (!access.error) {
+        return access.role;
+    }
+    
+    const reason = access.status === 401 ? 'Unauthorized' : 'Forbidden';
+    socket.write(`HTTP/1.1 ${access.status} ${reason}\r\n\r\n`);
+    socket.destroy();
+    return null;
+}
+
+/**
+ * WebSocket upgrade handler for VNC proxy
+ */
+server.on('upgrade', (request, socket, head) => {
+    if (shuttingDown) {
+        socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+        socket.destroy();
+        return;
+    }
+    
+    const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
+    
+    // Handle /vnc/:emulatorId WebSocket connections
+    const vncMatch = pathname.match(/^\/vnc\/(.+)$/);
+    if (vncMatch) {
+        const emulatorId = vncMatch[1];
+        const emulator = emulators.get(emulatorId);
+        
+        if (!emulator) {
+            socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+            socket.destroy();
+            return;
+        }
         
-        // Trim buffer if it gets too large (keep last MAX_BUFFER_SIZE characters)
-        if (emulator.outputBuffer.length > MAX_BUFFER_SIZE) {
-            const excessLength = emulator.outputBuffer.length - MAX_BUFFER_SIZE;
-            emulator.outputBuffer = emulator.outputBuffer.substring(excessLength);
-            // Adjust read position accordingly
-            emulator.lastReadPosition = Math.max(0, emulator.lastReadPosition - excessLength);
+        const role = authorizeUpgrade(request, socket, emulator);
+        if (!role) {
+            return;
         }
         
-        console.log(`[${config.browser}] ${output}`);
+        // The VNC server is unusable until the session password is set
+        if (!emulator.running || !emulator.vncPasswordSet) {
+            socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        
+        wss.handleUpgrade(request, socket, head, (ws) => {
+            ws.viewOnly = role === 'viewer';
+            wss.emit('connection', ws, request, emulator);
+        });
+        return;
+    }
+    
+    // Handle /console/:emulatorId WebSocket connections
+    const consoleMatch = pathname.match(/^\/console\/([^/]+)$/);
+    if (consoleMatch) {
+        const emulator = emulators.get(consoleMatch[1]);
+        
+        // Stopped emulators can still be subscribed to for their backlog
+        if (!emulator) {
+            socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        
+        const role = authorizeUpgrade(request, socket, emulator);
+        if (!role) {
+            return;
+        }
+        
+        consoleWss.handleUpgrade(request, socket, head, (ws) => {
+            ws.viewOnly = role === 'viewer';
+            consoleWss.emit('connection', ws, request, emulator);
+        });
+        return;
+    }
+    
+    socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
+    socket.destroy();
+});
+
+/**
+ * Mark a WebSocket client alive whenever it answers a heartbeat ping
+ */
+function trackHeartbeat(ws) {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
     });
+}
+
+// Drop WebSocket clients that stopped answering pings (closed laptops, lost
+// networks) so their sessions can be detected as idle
+const heartbeatInterval = setInterval(() => {
+    for (const ws of [...wss.clients, ...consoleWss.clients]) {
+        if (!ws.isAlive) {
+            ws.terminate();
+            continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+    }
+}, WEBSOCKET_HEARTBEAT_INTERVAL_MS);
+
+/**
+ * Console WebSocket connection handler - streams typed console entries.
+ * Each subscriber has its own cursor: ?offset=<seq> (default 0) selects where
+ * the backlog starts, and {"type":"replay","offset":<seq>} re-sends it later.
+ * {"type":"input","data":"..."} is written to the guest's serial port
+ * (not for view-only viewers).
+ */
+consoleWss.on('connection', (ws, request, emulator) => {
+    const log = emulator.consoleLog;
+    const query = new URL(request.url, `http://${request.headers.host}`).searchParams;
     
-    process.stderr?.on('data', (data) => {
-        const output = data.toString();
-        emulator.outputBuffer += `ERROR: ${output}`;
+    const send = (message) => {
+        if (ws.readyState === WebSocket.OPEN) {
+            ws.send(JSON.stringify(message));
+        }
+    };
+    
+    const sendBacklog = (offset) => {
+        const firstSeq = log.entries.length > 0 ? log.entries[0].seq : log.nextSeq;
         
-        // Trim buffer if it gets too large
-        if (emulator.outputBuffer.length > MAX_BUFFER_SIZE) {
-            const excessLength = emulator.outputBuffer.length - MAX_BUFFER_SIZE;
-            emulator.outputBuffer = emulator.outputBuffer.substring(excessLength);
-            emulator.lastReadPosition = Math.max(0, emulator.lastReadPosition - excessLength);
+        // Part of the requested backlog has already been trimmed from the log
+        if (offset < firstSeq) {
+            send({ type: 'truncated', from: offset, to: firstSeq });
         }
         
-        console.error(`[${config.browser}] ERROR: ${output}`);
+        getConsoleEntries(log, offset).forEach(send);
+    };
+    
+    send({
+        type: 'hello',
+        emulatorId: emulator.id,
+        state: emulator.state,
+        paused: emulator.paused,
+        nextOffset: log.nextSeq
     });
+    send(formatExpiry(emulator));
+    send(formatControl(emulator));
+    sendBacklog(parseInt(query.get('offset'), 10) || 0);
     
-    process.on('close', (code) => {
-        console.log(`Emulator ${emulatorId} exited with code ${code}`);
-        if (emulator) {
-            emulator.running = false;
-            emulator.outputBuffer += `\n\nEmulator stopped (exit code: ${code})\n`;
-            // Release the VNC display
-            if (emulator.vncDisplay !== undefined) {
-                releaseVncDisplay(emulator.vncDisplay);
+    log.events.on('entry', send);
+    emulator.consoleClients.add(ws);
+    
+    // Live traffic log of the session's proxy, not shown to view-only viewers
+    const sendTraffic = entry => send({ type: 'traffic', entry: formatTrafficEntry(entry) });
+    const trafficProxy = ws.viewOnly ? null : emulator.trafficProxy;
+    trafficProxy?.events.on('entry', sendTraffic);
+    emulator.detachDeadline = null;
+    trackHeartbeat(ws);
+    
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch {
+            message = null;
+        }
+        
+        if (!message || typeof message !== 'object') {
+            send({ type: 'error', error: 'Invalid message' });
+            return;
+        }
+        
+        if (message.type === 'replay') {
+            sendBacklog(parseInt(message.offset, 10) || 0);
+        } else if (message.type === 'input') {
+            const error = ws.viewOnly ? 'View-only viewers cannot send input' : writeConsoleInput(emulator, message.data);
+            if (error) {
+                send({ type: 'error', error });
             }
+        } else {
+            send({ type: 'error', error: `Unknown message type: ${message.type}` });
         }
     });
     
-    process.on('error', (error) => {
-        console.error(`Emulator ${emulatorId} error:`, error);
-        if (emulator) {
-            emulator.running = false;
-            emulator.outputBuffer += `\n\nError: ${error.message}\n`;
-            // Release the VNC display
-            if (emulator.vncDisplay !== undefined) {
-                releaseVncDisplay(emulator.vncDisplay);
-            }
+    ws.on('close', () => {
+        log.events.off('entry', send);
+        trafficProxy?.events.off('entry', sendTraffic);
+        emulator.consoleClients.delete(ws);
+    });
+    
+    ws.on('error', (err) => {
+        console.error(`Console WebSocket error: ${err.message}`);
+    });
+});
+
+/**
+ * Client-to-server RFB messages after the handshake: whether they control the
+ * guest (input, clipboard, resize and power messages) and their length (null
+ * until enough bytes are buffered to tell)
+ */
+const RFB_CLIENT_MESSAGES = {
+    0: { name: 'SetPixelFormat', control: false, length: () => 20 },
+    2: { name: 'SetEncodings', control: false, length: (buf) => (buf.length >= 4 ? 4 + 4 * buf.readUInt16BE(2) : null) },
+    3: { name: 'FramebufferUpdateRequest', control: false, length: () => 10 },
+    4: { name: 'KeyEvent', control: true, length: () => 8 },
+    5: { name: 'PointerEvent', control: true, length: () => 6 },
+    // Extended clipboard messages use a negative length
+    6: { name: 'ClientCutText', control: true, length: (buf) => (buf.length >= 8 ? 8 + Math.abs(buf.readInt32BE(4)) : null) },
+    150: { name: 'EnableContinuousUpdates', control: false, length: () => 10 },
+    248: { name: 'ClientFence', control: false, length: (buf) => (buf.length >= 9 ? 9 + buf[8] : null) },
+    250: { name: 'xvp', control: true, length: () => 4 },
+    251: { name: 'SetDesktopSize', control: true, length: (buf) => (buf.length >= 7 ? 8 + 16 * buf[6] : null) },
+    // QEMU messages: extended key event (subtype 0) and audio (subtype 1)
+    255: {
+        name: 'QEMU',
+        control: true,
+        length: (buf) => {
+            if (buf.length < 2) return null;
+            if (buf[1] === 0) return 12;
+            if (buf[1] !== 1) throw new Error(`Unsupported QEMU client message subtype ${buf[1]}`);
+            if (buf.length < 4) return null;
+            return buf.readUInt16BE(2) === 2 ? 10 : 4;
+        }
+    }
+};
+
+/**
+ * Read fixed-length messages from a socket during a handshake. detach()
+ * stops reading and returns the bytes received beyond the last message.
+ */
+function createSocketReader(socket) {
+    let buffer = Buffer.alloc(0);
+    let pending = null;
+    
+    const settle = (error) => {
+        if (!pending) return;
+        const { length, resolve, reject } = pending;
+        
+        if (error) {
+            pending = null;
+            reject(error);
+        } else if (buffer.length >= length) {
+            pending = null;
+            const message = buffer.subarray(0, length);
+            buffer = buffer.subarray(length);
+            resolve(message);
+        }
+    };
+    const onData = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        settle();
+    };
+    const onClose = () => settle(new Error('Connection closed during the handshake'));
+    const onError = error => settle(error);
+    
+    socket.on('data', onData);
+    socket.on('close', onClose);
+    socket.on('error', onError);
+    
+    return {
+        read(length) {
+            return new Promise((resolve, reject) => {
+                pending = { length, resolve, reject };
+                settle();
+            });
+        },
+        detach() {
+            socket.off('data', onData);
+            socket.off('close', onClose);
+            socket.off('error', onError);
+            return buffer;
         }
-    });
+    };
 }
 
 /**
- * Generate startup message
+ * Encrypt a VNC authentication challenge with a password. VNC uses the
+ * password as a DES key with the bits of each byte reversed; DES is done as
+ * 3DES with identical keys since plain DES needs OpenSSL's legacy provider.
  */
-function generateStartupMessage(config, browserConfig, imagePath, vncPort, websocketPort) {
-    const ram = config.ram === 'unlimited' ? 'Unlimited (16GB)' : `${config.ram} GB`;
-    const vram = config.vram === '1024' ? '1 GB' : `${config.vram} MB`;
-    const imageInfo = imagePath ? `\nDisk Image: ${path.basename(imagePath)}` : '\nDisk Image: None (simulation mode)';
-    const vncInfo = `\nVNC Port: ${vncPort}\nWebSocket Port: ${websocketPort}`;
+function encryptVncChallenge(password, challenge) {
+    const key = Buffer.alloc(8);
+    Buffer.from(password, 'latin1').copy(key, 0, 0, 8);
+    for (let i = 0; i < key.length; i++) {
+        let reversed = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            reversed = (reversed << 1) | ((key[i] >> bit) & 1);
+        }
+        key[i] = reversed;
+    }
     
-    return `
-===========================================
-  Browser IG - QEMU Emulator
-===========================================
-Browser: ${browserConfig.name}
-Description: ${browserConfig.description}
-RAM: ${ram}
-VRAM: ${vram}${imageInfo}${vncInfo}
-===========================================
-
-Initializing emulator...
-`;
+    const cipher = crypto.createCipheriv('des-ede-ecb', Buffer.concat([key, key]), null);
+    cipher.setAutoPadding(false);
+    return Buffer.concat([cipher.update(challenge), cipher.final()]);
 }
 
-// API Routes
-
 /**
- * Start emulator endpoint
+ * Run the RFB 3.8 version and security handshake with QEMU's VNC server on a
+ * viewer's behalf, so view-only viewers never learn the VNC password. Resolves
+ * with any bytes the server sent after the handshake.
  */
-app.post('/api/start-emulator', async (req, res) => {
+async function authenticateVnc(socket, password) {
+    const reader = createSocketReader(socket);
+    
     try {
-        const { browser, ram, vram } = req.body;
-        
-        // Validate input
-        if (!browser || !browserConfigs[browser]) {
-            return res.status(400).json({ error: 'Invalid browser selection' });
+        const version = (await reader.read(12)).toString('latin1');
+        if (!version.startsWith('RFB 003.')) {
+            throw new Error(`Unexpected RFB version ${JSON.stringify(version)}`);
         }
+        socket.write('RFB 003.008\n');
         
-        if (!ram) {
-            return res.status(400).json({ error: 'RAM amount is required' });
+        const count = (await reader.read(1))[0];
+        if (count === 0) {
+            const reasonLength = (await reader.read(4)).readUInt32BE(0);
+            throw new Error((await reader.read(reasonLength)).toString('utf8'));
+        }
+        if (!(await reader.read(count)).includes(2)) {
+            throw new Error('VNC server does not offer password authentication');
         }
+        socket.write(Buffer.from([2]));
         
-        if (!vram) {
-            return res.status(400).json({ error: 'VRAM amount is required' });
+        socket.write(encryptVncChallenge(password, await reader.read(16)));
+        if ((await reader.read(4)).readUInt32BE(0) !== 0) {
+            throw new Error('VNC server rejected the password');
         }
         
-        // Start the emulator
-        const result = await startQemuEmulator({ browser, ram, vram });
+        return reader.detach();
+    } catch (error) {
+        reader.detach();
+        throw error;
+    }
+}
+
+/**
+ * Create a filter for the client-to-server half of an RFB connection that
+ * always lets the handshake and framebuffer update requests through, but
+ * messages that control the guest only while hasControl() returns true.
+ * ClientInit is rewritten to request a shared session so a viewer never
+ * disconnects the others. With answerHandshake(reply) the proxy plays the
+ * server's part of the version and security handshake itself (offering no
+ * authentication) instead of forwarding it. Returns a function taking each
+ * received chunk and returning the bytes to forward; it throws on anything
+ * it can't parse.
+ */
+function createRfbInputFilter(hasControl, answerHandshake = null) {
+    let buffer = Buffer.alloc(0);
+    let stage = 'version';
+    let clientMinor = null;
+    
+    // Length of the next client message in each handshake stage
+    const handshakeLength = { version: 12, security: 1, vncAuth: 16, clientInit: 1 };
+    
+    return (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        const forward = [];
         
-        res.json({
-            success: true,
-            emulatorId: result.emulatorId,
-            output: result.output,
-            vncPort: result.vncPort,
-            websocketPort: result.websocketPort,
-            hasImage: result.hasImage
-        });
+        while (buffer.length > 0) {
+            let length;
+            let allowed = true;
+            
+            if (stage !== 'messages') {
+                length = handshakeLength[stage];
+            } else {
+                const message = RFB_CLIENT_MESSAGES[buffer[0]];
+                if (!message) {
+                    throw new Error(`Unsupported RFB client message type ${buffer[0]}`);
+                }
+                length = message.length(buffer);
+                allowed = !message.control || hasControl();
+            }
+            
+            if (length === null || buffer.length < length) {
+                break;
+            }
+            
+            const message = Buffer.from(buffer.subarray(0, length));
+            buffer = buffer.subarray(length);
+            
+            if (stage === 'version') {
+                // RFB 3.3 lets the server pick the security type, which we don't track
+                const minor = parseInt(message.toString('latin1').slice(8, 11), 10);
+                if (!message.toString('latin1').startsWith('RFB 003.') || !(minor >= 7)) {
+                    throw new Error('The VNC proxy requires RFB 3.7 or later');
+                }
+                stage = 'security';
+                
+                if (answerHandshake) {
+                    // One security type: None
+                    answerHandshake(Buffer.from([1, 1]));
+                    allowed = false;
+                    clientMinor = minor;
+                }
+            } else if (stage === 'security') {
+                // 1 = None, 2 = VNC authentication (16-byte challenge response)
+                if (message[0] !== 1 && (message[0] !== 2 || answerHandshake)) {
+                    throw new Error(`Unsupported RFB security type ${message[0]}`);
+                }
+                stage = message[0] === 2 ? 'vncAuth' : 'clientInit';
+                
+                if (answerHandshake) {
+                    // RFB 3.8 clients expect a SecurityResult even without authentication
+                    if (clientMinor >= 8) {
+                        answerHandshake(Buffer.alloc(4));
+                    }
+                    allowed = false;
+                }
+            } else if (stage === 'vncAuth') {
+                stage = 'clientInit';
+            } else if (stage === 'clientInit') {
+                message[0] = 1;
+                stage = 'messages';
+            }
+            
+            if (allowed) {
+                forward.push(message);
+            }
+        }
         
-    } catch (error) {
-        console.error('Error in start-emulator:', error);
-        res.status(500).json({ error: error.message });
+        return Buffer.concat(forward);
+    };
+}
+
+/**
+ * Pick the lowest "Viewer <n>" name no current viewer has
+ */
+function getFreeViewerName(emulator) {
+    const names = new Set(emulator.viewerNames.values());
+    let number = 1;
+    while (names.has(`Viewer ${number}`)) {
+        number++;
     }
-});
+    return `Viewer ${number}`;
+}
 
 /**
- * Get emulator status endpoint
+ * Forget viewers that are gone: registrations unused for
+ * VIEWER_REGISTRATION_TTL_MS, and names of viewers with neither a VNC
+ * connection nor a registration
  */
-app.get('/api/emulator-status/:id', (req, res) => {
-    const emulatorId = req.params.id;
-    const emulator = emulators.get(emulatorId);
+function pruneViewers(emulator, now) {
+    const connected = new Set(Array.from(emulator.vncClients, ws => ws.viewerId));
     
-    if (!emulator) {
-        return res.status(404).json({ error: 'Emulator not found' });
+    for (const [viewer, registration] of emulator.viewerSecrets) {
+        if (connected.has(viewer)) {
+            registration.idleSince = null;
+        } else if (registration.idleSince === null) {
+            registration.idleSince = now;
+        } else if (now - registration.idleSince >= VIEWER_REGISTRATION_TTL_MS) {
+            emulator.viewerSecrets.delete(viewer);
+        }
+    }
+    
+    for (const viewer of emulator.viewerNames.keys()) {
+        if (!connected.has(viewer) && !emulator.viewerSecrets.has(viewer)) {
+            emulator.viewerNames.delete(viewer);
+        }
     }
+}
+
+/**
+ * List the connected viewers that can take control (full-access VNC connections),
+ * once per viewer ID in order of connection
+ */
+function getInteractiveViewers(emulator) {
+    const viewers = new Map();
     
-    // Get new output since last check
-    const newOutput = emulator.outputBuffer.substring(emulator.lastReadPosition);
-    emulator.lastReadPosition = emulator.outputBuffer.length;
+    for (const ws of emulator.vncClients) {
+        if (!ws.viewOnly && !viewers.has(ws.viewerId)) {
+            viewers.set(ws.viewerId, { id: ws.viewerId, name: emulator.viewerNames.get(ws.viewerId) });
+        }
+    }
+    return Array.from(viewers.values());
+}
+
+/**
+ * Describe who controls a session's display, as sent to console subscribers
+ */
+function formatControl(emulator) {
+    const viewers = getInteractiveViewers(emulator);
+    const byId = new Map(viewers.map(viewer => [viewer.id, viewer]));
     
-    res.json({
-        running: emulator.running,
-        output: newOutput,
-        config: emulator.config,
-        uptime: Math.floor((new Date() - emulator.startTime) / 1000),
-        vncPort: emulator.vncPort,
-        websocketPort: emulator.websocketPort
+    return {
+        type: 'control',
+        driver: byId.get(emulator.driver) || null,
+        requests: emulator.controlRequests.map(id => byId.get(id)).filter(Boolean),
+        viewers
+    };
+}
+
+/**
+ * Give control to the longest-waiting connected requester, or to nobody
+ */
+function handOffControl(emulator) {
+    const connected = new Set(getInteractiveViewers(emulator).map(viewer => viewer.id));
+    emulator.controlRequests = emulator.controlRequests.filter(id => connected.has(id));
+    emulator.driver = emulator.controlRequests.shift() || null;
+}
+
+/**
+ * Start recording the server-to-client half of a VNC proxy connection, which
+ * includes the server's side of the handshake. Recordings are newline-delimited
+ * JSON: a header object, [millisecondsSinceStart, base64Data] frames and a
+ * final { end } object.
+ */
+function startRecording(emulator, ws) {
+    const id = uuidv4();
+    const filePath = getRecordingPath(id);
+    const stream = fs.createWriteStream(filePath, { mode: 0o600 });
+    
+    stream.on('error', (err) => {
+        console.error(`Failed to write recording ${filePath}:`, err.message);
     });
-});
+    
+    stream.write(JSON.stringify({
+        version: 1,
+        id,
+        emulatorId: emulator.id,
+        browser: emulator.config.browser,
+        viewer: emulator.viewerNames.get(ws.viewerId),
+        startedAt: new Date().toISOString(),
+        // Lets the session token download the recording after the session is gone
+        ownerTokenHash: hashToken(emulator.token)
+    }) + '\n');
+    
+    const recording = { id, stream, startedAt: Date.now(), bytes: 0, truncated: false };
+    activeRecordings.set(id, recording);
+    console.log(`Recording VNC connection of emulator ${emulator.id} to ${filePath}`);
+    return recording;
+}
 
 /**
- * Stop emulator endpoint
+ * Append server-to-client RFB data to a recording, up to MAX_RECORDING_BYTES
  */
-app.post('/api/stop-emulator/:id', (req, res) => {
-    const emulatorId = req.params.id;
-    const emulator = emulators.get(emulatorId);
+function recordFrame(recording, data) {
+    if (recording.truncated) {
+        return;
+    }
     
-    if (!emulator) {
-        return res.status(404).json({ error: 'Emulator not found' });
+    if (recording.bytes + data.length > MAX_RECORDING_BYTES) {
+        recording.truncated = true;
+        console.log(`Recording ${recording.id} reached ${MAX_RECORDING_BYTES} bytes, no longer recording`);
+        return;
     }
     
-    try {
-        if (emulator.process && emulator.running) {
-            emulator.process.kill('SIGTERM');
-            emulator.running = false;
-        }
-        
-        // Release the VNC display
-        if (emulator.vncDisplay !== undefined) {
-            releaseVncDisplay(emulator.vncDisplay);
-        }
-        
-        // Remove from active emulators after a delay
-        setTimeout(() => {
-            emulators.delete(emulatorId);
-        }, 5000);
-        
-        res.json({ success: true, message: 'Emulator stopped' });
-        
-    } catch (error) {
-        console.error('Error stopping emulator:', error);
-        res.status(500).json({ error: error.message });
+    recording.bytes += data.length;
+    recording.stream.write(JSON.stringify([Date.now() - recording.startedAt, data.toString('base64')]) + '\n');
+}
+
+/**
+ * Close a recording when its VNC connection ends
+ */
+function finishRecording(recording) {
+    if (!activeRecordings.delete(recording.id)) {
+        return;
     }
-});
+    
+    recording.stream.end(JSON.stringify({
+        end: Date.now() - recording.startedAt,
+        bytes: recording.bytes,
+        truncated: recording.truncated
+    }) + '\n');
+}
 
 /**
- * List all active emulators
+ * Finish a recording and wait for its file to be closed, for at most timeoutMs.
+ * A stream that already failed or closed doesn't wait at all.
  */
-app.get('/api/emulators', (req, res) => {
-    const activeEmulators = Array.from(emulators.values()).map(e => ({
-        id: e.id,
-        browser: e.config.browser,
-        ram: e.config.ram,
-        vram: e.config.vram,
-        running: e.running,
-        uptime: Math.floor((new Date() - e.startTime) / 1000)
-    }));
+function flushRecording(recording, timeoutMs) {
+    const { stream } = recording;
+    finishRecording(recording);
     
-    res.json({ emulators: activeEmulators });
-});
+    if (stream.closed || stream.destroyed) {
+        return Promise.resolve();
+    }
+    
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, timeoutMs);
+        const done = () => {
+            clearTimeout(timer);
+            resolve();
+        };
+        stream.once('close', done);
+        stream.once('error', done);
+    });
+}
 
-// Serve index.html for root (rate-limited by global middleware)
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
-});
+/**
+ * Get the file of a recording
+ */
+function getRecordingPath(id) {
+    return path.join(RECORDINGS_DIR, `${id}.vncrec`);
+}
 
 /**
- * WebSocket upgrade handler for VNC proxy
+ * Read a recording's header and, once it is finished, its end record.
+ * Returns null if the file is missing or not a recording.
  */
-server.on('upgrade', (request, socket, head) => {
-    const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
+function readRecordingInfo(id) {
+    const filePath = getRecordingPath(id);
+    let fd;
     
-    // Handle /vnc/:emulatorId WebSocket connections
-    const vncMatch = pathname.match(/^\/vnc\/(.+)$/);
-    if (vncMatch) {
-        const emulatorId = vncMatch[1];
-        const emulator = emulators.get(emulatorId);
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const size = fs.fstatSync(fd).size;
         
-        if (!emulator) {
-            socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
-            socket.destroy();
-            return;
-        }
+        // The header is the first line, the end record the last one
+        const head = Buffer.alloc(Math.min(size, 4096));
+        fs.readSync(fd, head, 0, head.length, 0);
+        const header = JSON.parse(head.toString('utf8').split('\n')[0]);
         
-        if (!emulator.running) {
-            socket.write('HTTP/1.1 503 Service Unavailable\r\n\r\n');
-            socket.destroy();
-            return;
-        }
+        const tail = Buffer.alloc(Math.min(size, 4096));
+        fs.readSync(fd, tail, 0, tail.length, size - tail.length);
+        const lastLine = tail.toString('utf8').trimEnd().split('\n').pop();
+        const end = lastLine.startsWith('{"end"') ? JSON.parse(lastLine) : null;
         
-        wss.handleUpgrade(request, socket, head, (ws) => {
-            wss.emit('connection', ws, request, emulator);
-        });
-    } else {
-        socket.write('HTTP/1.1 404 Not Found\r\n\r\n');
-        socket.destroy();
+        return { header, end, size };
+    } catch {
+        return null;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
     }
-});
+}
+
+/**
+ * Convert recording info into the API representation
+ */
+function formatRecording({ header, end, size }) {
+    return {
+        id: header.id,
+        emulatorId: header.emulatorId,
+        browser: header.browser,
+        viewer: header.viewer,
+        startedAt: header.startedAt,
+        durationSeconds: end ? Math.round(end.end / 1000) : null,
+        size,
+        recording: activeRecordings.has(header.id),
+        truncated: end ? end.truncated : false
+    };
+}
+
+/**
+ * Check the caller's access to a recording: the admin key, or the token of the
+ * session it was recorded from (even after that session has ended).
+ * Returns null if access is granted, otherwise { status, error }.
+ */
+function checkRecordingAccess(request, header) {
+    if (isAdminRequest(request)) {
+        return null;
+    }
+    
+    const tokens = getPresentedTokens(request, header.emulatorId);
+    if (tokens.length === 0) {
+        return { status: 401, error: 'Session token required' };
+    }
+    
+    if (!tokens.some(token => secretsMatch(hashToken(token), header.ownerTokenHash))) {
+        return { status: 403, error: 'Invalid session token' };
+    }
+    
+    return null;
+}
 
 /**
  * WebSocket connection handler - proxies to VNC server
  */
 wss.on('connection', (ws, request, emulator) => {
-    const vncPort = emulator.vncPort;
-    console.log(`WebSocket VNC proxy connecting to VNC port ${vncPort} for emulator ${emulator.id}`);
+    const vncAddress = describeVnc(emulator);
+    console.log(`WebSocket VNC proxy connecting to VNC server ${vncAddress} for emulator ${emulator.id}`);
+    
+    // Viewers keep the session from being reaped as idle
+    emulator.vncClients.add(ws);
+    emulator.detachDeadline = null;
+    trackHeartbeat(ws);
+    
+    // Each page identifies its connection with the ?viewer=<id>&secret=<secret>
+    // it registered for control handoff; anything else gets an anonymous ID
+    // that the control routes can't act for
+    const params = new URL(request.url, `http://${request.headers.host}`).searchParams;
+    const requestedViewerId = params.get('viewer');
+    ws.viewerId = !ws.viewOnly && isViewerSecretValid(emulator, requestedViewerId, params.get('secret'))
+        ? requestedViewerId
+        : crypto.randomUUID();
+    if (!emulator.viewerNames.has(ws.viewerId)) {
+        emulator.viewerNames.set(ws.viewerId, getFreeViewerName(emulator));
+    }
+    
+    // Only the driver's input reaches the guest; view-only viewers never drive.
+    // The first full-access viewer of an undriven session takes control.
+    // View-only viewers don't get the VNC password: the proxy answers their
+    // handshake and authenticates to QEMU for them
+    const inputFilter = createRfbInputFilter(
+        () => !ws.viewOnly && emulator.driver === ws.viewerId,
+        ws.viewOnly ? reply => ws.send(reply) : null
+    );
+    if (ws.viewOnly) {
+        ws.send('RFB 003.008\n');
+    }
+    if (!ws.viewOnly && emulator.driver === null) {
+        emulator.driver = ws.viewerId;
+    }
+    broadcastToConsole(emulator, formatControl(emulator));
+    
+    // Sessions started with "record" keep what each full-access viewer saw
+    const recording = emulator.config.record && !ws.viewOnly ? startRecording(emulator, ws) : null;
+    
+    // Client data that arrives before the VNC connection is ready
+    const pendingInput = [];
     
     // Connect to the VNC server
-    const vncSocket = net.connect(vncPort, '127.0.0.1', () => {
-        console.log(`Connected to VNC server on port ${vncPort}`);
+    const vncSocket = net.connect(emulator.vncSocketPath ? { path: emulator.vncSocketPath } : { port: emulator.vncPort, host: '127.0.0.1' }, async () => {
+        console.log(`Connected to VNC server ${vncAddress}`);
+        
+        let handshakeRest = Buffer.alloc(0);
+        if (ws.viewOnly) {
+            try {
+                handshakeRest = await authenticateVnc(vncSocket, emulator.vncPassword);
+            } catch (error) {
+                console.error(`VNC authentication for a viewer of emulator ${emulator.id} failed: ${error.message}`);
+                vncSocket.destroy();
+                ws.close(1011, 'VNC authentication failed');
+                return;
+            }
+            if (ws.readyState !== WebSocket.OPEN) {
+                vncSocket.destroy();
+                return;
+            }
+        }
         
         // Store connection for cleanup
         vncConnections.set(ws, vncSocket);
         
         // Forward VNC server data to WebSocket client
-        vncSocket.on('data', (data) => {
+        const forwardToClient = (data) => {
             if (ws.readyState === WebSocket.OPEN) {
                 ws.send(data);
+                if (recording) {
+                    recordFrame(recording, data);
+                }
             }
-        });
+        };
+        vncSocket.on('data', forwardToClient);
+        if (handshakeRest.length > 0) {
+            forwardToClient(handshakeRest);
+        }
+        pendingInput.splice(0).forEach(payload => vncSocket.write(payload));
         
         // Handle VNC socket close
         vncSocket.on('close', () => {
-            console.log(`VNC connection closed for port ${vncPort}`);
+            console.log(`VNC connection closed for ${vncAddress}`);
             if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
                 ws.close();
             }
@@ -780,27 +5635,43 @@ wss.on('connection', (ws, request, emulator) => {
     
     // Forward WebSocket client data to VNC server
     ws.on('message', (data) => {
-        const vncSocket = vncConnections.get(ws);
-        if (vncSocket && vncSocket.writable) {
-            // Handle both Buffer and ArrayBuffer
-            if (Buffer.isBuffer(data)) {
-                vncSocket.write(data);
-            } else if (data instanceof ArrayBuffer) {
-                vncSocket.write(Buffer.from(data));
-            } else {
-                vncSocket.write(Buffer.from(data));
-            }
+        // Handle both Buffer and ArrayBuffer
+        let payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        
+        try {
+            payload = inputFilter(payload);
+        } catch (error) {
+            console.error(`Closing VNC viewer of emulator ${emulator.id}: ${error.message}`);
+            ws.close(1008, 'Unsupported RFB message');
+            return;
+        }
+        
+        if (payload.length === 0) {
+            return;
+        }
+        if (!vncConnections.has(ws)) {
+            pendingInput.push(payload);
+        } else if (vncSocket.writable) {
+            vncSocket.write(payload);
         }
     });
     
     // Handle WebSocket close
     ws.on('close', () => {
-        console.log(`WebSocket closed for VNC port ${vncPort}`);
-        const vncSocket = vncConnections.get(ws);
-        if (vncSocket) {
-            vncSocket.destroy();
-            vncConnections.delete(ws);
+        console.log(`WebSocket closed for VNC server ${vncAddress}`);
+        emulator.vncClients.delete(ws);
+        if (recording) {
+            finishRecording(recording);
+        }
+        vncSocket.destroy();
+        vncConnections.delete(ws);
+        
+        // A driver that left (and has no other connection open) passes control on
+        const stillConnected = getInteractiveViewers(emulator).some(viewer => viewer.id === ws.viewerId);
+        if (emulator.driver === ws.viewerId && !stillConnected) {
+            handOffControl(emulator);
         }
+        broadcastToConsole(emulator, formatControl(emulator));
     });
     
     ws.on('error', (err) => {
@@ -813,6 +5684,9 @@ wss.on('connection', (ws, request, emulator) => {
     });
 });
 
+// Re-adopt QEMU processes left running by a previous server instance
+recoverEmulators();
+
 // Start server with WebSocket support
 server.listen(PORT, () => {
     console.log(`
@@ -826,29 +5700,77 @@ server.listen(PORT, () => {
     `);
 });
 
-// Cleanup on exit
-process.on('SIGINT', () => {
-    console.log('\nShutting down server...');
+/**
+ * Shut the server down: refuse new sessions, tell viewers, power down every
+ * emulator (ACPI first, then SIGTERM/SIGKILL), remove per-session temp files
+ * and close the WebSocket and HTTP servers. A second signal exits immediately.
+ */
+async function shutdownServer(signal) {
+    if (shuttingDown) {
+        console.log(`Received ${signal} again, exiting without waiting for emulators`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    console.log(`\nReceived ${signal}, shutting down server...`);
     
-    // Close all VNC WebSocket connections
-    vncConnections.forEach((vncSocket, ws) => {
-        try {
-            vncSocket.destroy();
-            ws.close();
-        } catch (e) {
-            // Ignore cleanup errors
+    clearInterval(reaperInterval);
+    clearInterval(heartbeatInterval);
+    
+    const active = Array.from(emulators.values()).filter(emulator => emulator.state !== 'stopped');
+    for (const emulator of active) {
+        appendConsole(emulator, 'system', '\nServer is shutting down, stopping session...\n');
+        // Cancel the launch of emulators still waiting for their image
+        if (emulator.state === 'provisioning') {
+            emulator.state = 'stopped';
         }
-    });
-    vncConnections.clear();
+    }
     
-    // Stop all running emulators
-    emulators.forEach((emulator) => {
-        if (emulator.process && emulator.running) {
-            emulator.process.kill('SIGTERM');
+    // shutdownEmulator bounds each power-down with POWERDOWN_TIMEOUT_MS and KILL_TIMEOUT_MS
+    const results = await Promise.allSettled(active.map(emulator => shutdownEmulator(emulator)));
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(`Error stopping emulator ${active[index].id}:`, result.reason);
+        } else if (result.value !== 'none') {
+            console.log(`Emulator ${active[index].id} stopped (${result.value})`);
         }
     });
     
-    process.exit(0);
-});
+    // Give processes that needed SIGKILL a moment to be reaped
+    await Promise.all(active
+        .filter(emulator => emulator.running)
+        .map(emulator => waitForExit(emulator, KILL_TIMEOUT_MS)));
+    
+    // Close handlers normally clean up, but not for processes that never exited
+    for (const emulator of active) {
+        releaseQmp(emulator);
+        releaseTrafficProxy(emulator);
+        releaseDiskOverlay(emulator);
+        releaseSharedFolder(emulator);
+    }
+    persistRegistry();
+    
+    // Flush recordings before their WebSockets close and the process exits
+    await Promise.all(Array.from(activeRecordings.values()).map(recording => flushRecording(recording, KILL_TIMEOUT_MS)));
+    
+    for (const ws of [...wss.clients, ...consoleWss.clients]) {
+        ws.close(1001, 'Server shutting down');
+    }
+    vncConnections.forEach(vncSocket => vncSocket.destroy());
+    vncConnections.clear();
+    wss.close();
+    consoleWss.close();
+    
+    // Idle keep-alive connections would otherwise hold server.close() open;
+    // requests still running after KILL_TIMEOUT_MS are cut off
+    server.closeIdleConnections?.();
+    setTimeout(() => server.closeAllConnections?.(), KILL_TIMEOUT_MS).unref();
+    server.close(() => {
+        console.log('Server stopped');
+        process.exit(0);
+    });
+}
+
+process.on('SIGTERM', () => shutdownServer('SIGTERM'));
+process.on('SIGINT', () => shutdownServer('SIGINT'));
 
 module.exports = { app, server };